@@ -0,0 +1,17 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('chooserAPI', {
+  onCandidates: (callback) => {
+    ipcRenderer.on('chooser-candidates', (event, payload) => callback(payload));
+  },
+  analyzeTickers: (tickers) => ipcRenderer.invoke('chooser-analyze', tickers),
+  openTicker: (ticker) => {
+    ipcRenderer.send('chooser-open', ticker);
+  },
+  scoreText: () => {
+    ipcRenderer.send('chooser-score-text');
+  },
+  closeChooser: () => {
+    ipcRenderer.send('close-chooser');
+  }
+});
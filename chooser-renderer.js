@@ -0,0 +1,157 @@
+const chooserTitle = document.getElementById('chooserTitle');
+const closeChooserBtn = document.getElementById('closeChooserBtn');
+const chooserText = document.getElementById('chooserText');
+const chooserList = document.getElementById('chooserList');
+const chooserStatus = document.getElementById('chooserStatus');
+const analyzeSelectedBtn = document.getElementById('analyzeSelectedBtn');
+const analyzeAllBtn = document.getElementById('analyzeAllBtn');
+const scoreTextBtn = document.getElementById('scoreTextBtn');
+
+// Candidates scored at least this high start out ticked
+const PRESELECT_CONFIDENCE = 0.75;
+// Longest stretch of the copied text shown above the list
+const TEXT_PREVIEW_CHARS = 160;
+
+let candidates = [];
+let analyzing = false;
+
+// One row per candidate: tick box, symbol, company name, confidence and a slot for its result
+function renderCandidates() {
+    chooserList.innerHTML = '';
+
+    candidates.forEach((candidate, index) => {
+        const row = document.createElement('label');
+        row.className = 'chooser-row';
+        row.dataset.ticker = candidate.symbol;
+        row.innerHTML = `
+            <input type="checkbox" class="chooser-check">
+            <span class="chooser-symbol"></span>
+            <span class="chooser-name"></span>
+            <span class="chooser-confidence"></span>
+            <span class="chooser-result"></span>
+            <button class="chooser-row-btn">Analyze</button>
+        `;
+        const checkbox = row.querySelector('.chooser-check');
+        checkbox.checked = candidate.confidence >= PRESELECT_CONFIDENCE || index === 0;
+        row.querySelector('.chooser-symbol').textContent = candidate.symbol;
+        row.querySelector('.chooser-name').textContent = candidate.name || '';
+        row.querySelector('.chooser-confidence').textContent = `${Math.round(candidate.confidence * 100)}%`;
+        row.querySelector('.chooser-confidence').title = `Found as ${candidate.source}, ${candidate.mentions} mention${candidate.mentions === 1 ? '' : 's'}`;
+        row.querySelector('.chooser-row-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            if (row.classList.contains('analyzed')) {
+                window.chooserAPI.openTicker(candidate.symbol);
+            } else {
+                analyze([candidate.symbol]);
+            }
+        });
+        chooserList.appendChild(row);
+    });
+
+    updateSelectedCount();
+}
+
+function selectedTickers() {
+    return [...chooserList.querySelectorAll('.chooser-row')]
+        .filter(row => row.querySelector('.chooser-check').checked)
+        .map(row => row.dataset.ticker);
+}
+
+function updateSelectedCount() {
+    const count = selectedTickers().length;
+    analyzeSelectedBtn.textContent = `Analyze selected (${count})`;
+    analyzeSelectedBtn.disabled = analyzing || count === 0;
+    analyzeAllBtn.disabled = analyzing;
+}
+
+function setStatus(message) {
+    chooserStatus.textContent = message;
+    chooserStatus.classList.toggle('hidden', !message);
+}
+
+// One ticker opens the usual popup; several are analyzed together and summarized here
+async function analyze(tickers) {
+    if (analyzing || tickers.length === 0) {
+        return;
+    }
+
+    analyzing = true;
+    updateSelectedCount();
+    setStatus(tickers.length === 1 ? `Analyzing ${tickers[0]}...` : `Analyzing ${tickers.length} tickers...`);
+
+    try {
+        const response = await window.chooserAPI.analyzeTickers(tickers);
+        if (response.error) {
+            setStatus(`❌ ${response.error}`);
+            return;
+        }
+        response.results.forEach(renderResult);
+        const failed = response.results.filter(result => !result.ok).length;
+        setStatus(failed > 0
+            ? `${response.results.length - failed} analyzed, ${failed} failed. Open a ticker for its news.`
+            : 'Open a ticker for its news.');
+    } catch (error) {
+        setStatus(`❌ ${error.message}`);
+    } finally {
+        analyzing = false;
+        updateSelectedCount();
+    }
+}
+
+// Sentiment badge in the candidate's row, or the reason it failed
+function renderResult(result) {
+    const row = chooserList.querySelector(`.chooser-row[data-ticker="${result.ticker}"]`);
+    if (!row) {
+        return;
+    }
+
+    const slot = row.querySelector('.chooser-result');
+    if (result.ok && result.sentiment) {
+        slot.innerHTML = `<span class="article-sentiment-badge ${result.sentiment.sentiment}">${describeSentimentLabel(result.sentiment)} ${(result.sentiment.confidence * 100).toFixed(0)}%</span>`;
+        slot.title = `${result.articleCount} articles`;
+    } else if (result.ok) {
+        slot.textContent = `${result.articleCount} articles`;
+    } else {
+        slot.textContent = '⚠️';
+        slot.title = result.error;
+    }
+
+    if (result.ok) {
+        row.classList.add('analyzed');
+        row.querySelector('.chooser-row-btn').textContent = 'Open';
+    }
+}
+
+window.chooserAPI.onCandidates((payload) => {
+    candidates = payload.candidates;
+    chooserTitle.textContent = `${candidates.length} ticker${candidates.length === 1 ? '' : 's'} found`;
+    chooserText.textContent = payload.text.length > TEXT_PREVIEW_CHARS
+        ? `“${payload.text.slice(0, TEXT_PREVIEW_CHARS).trim()}…”`
+        : `“${payload.text}”`;
+    scoreTextBtn.classList.toggle('hidden', !payload.scorable);
+    setStatus('');
+    renderCandidates();
+});
+
+chooserList.addEventListener('change', updateSelectedCount);
+
+analyzeSelectedBtn.addEventListener('click', () => {
+    analyze(selectedTickers());
+});
+
+analyzeAllBtn.addEventListener('click', () => {
+    chooserList.querySelectorAll('.chooser-check').forEach(checkbox => {
+        checkbox.checked = true;
+    });
+    analyze(candidates.map(candidate => candidate.symbol));
+});
+
+scoreTextBtn.addEventListener('click', () => {
+    window.chooserAPI.scoreText();
+});
+
+closeChooserBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    window.chooserAPI.closeChooser();
+});
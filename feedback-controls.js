@@ -0,0 +1,55 @@
+// Thumbs up/down and label correction controls shared by the overlay and the popup
+// 👍 confirms the model's label; 👎 opens a picker for the right one
+
+const FEEDBACK_LABELS = { negative: 'NEG', neutral: 'NEU', positive: 'POS' };
+
+function renderFeedbackControls(scope, predicted, index = '') {
+    const corrections = Object.keys(FEEDBACK_LABELS)
+        .filter(label => label !== predicted)
+        .map(label => `<button class="feedback-label ${label}" data-label="${label}" title="Should be ${label}">${FEEDBACK_LABELS[label]}</button>`)
+        .join('');
+
+    return `
+        <span class="feedback" data-scope="${scope}" data-predicted="${predicted}" data-index="${index}">
+            <button class="feedback-btn" data-feedback="agree" title="Label is right">👍</button>
+            <button class="feedback-btn" data-feedback="disagree" title="Label is wrong">👎</button>
+            <span class="feedback-correct hidden">${corrections}</span>
+        </span>
+    `;
+}
+
+// Handle clicks on any feedback control under root
+// describe(controls) returns { ticker, link, title } for the item; submit(feedback) sends it
+function bindFeedbackControls(root, describe, submit) {
+    root.addEventListener('click', async (event) => {
+        const button = event.target.closest('.feedback button');
+        if (!button) {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+
+        const controls = button.closest('.feedback');
+        if (button.dataset.feedback === 'disagree') {
+            controls.querySelector('.feedback-correct').classList.toggle('hidden');
+            return;
+        }
+
+        const { scope, predicted } = controls.dataset;
+        const label = button.dataset.feedback === 'agree' ? predicted : button.dataset.label;
+        controls.classList.add('feedback-sending');
+
+        const result = await submit({ ...describe(controls), scope, predicted, label });
+        if (result && !result.error) {
+            const message = label === predicted ? 'Thanks' : `Marked ${FEEDBACK_LABELS[label]}`;
+            controls.innerHTML = `<span class="feedback-done">✓ ${message}</span>`;
+        } else {
+            controls.classList.remove('feedback-sending');
+            const previous = controls.querySelector('.feedback-error');
+            if (previous) {
+                previous.remove();
+            }
+            controls.insertAdjacentHTML('beforeend', `<span class="feedback-error" title="${(result && result.error) || ''}">Couldn't save</span>`);
+        }
+    });
+}
@@ -1,24 +1,66 @@
-const { app, BrowserWindow, globalShortcut, clipboard, ipcMain, Notification, screen } = require('electron');
+const { app, BrowserWindow, globalShortcut, clipboard, ipcMain, Notification, screen, shell } = require('electron');
 const path = require('path');
 const { spawn } = require('child_process');
 const axios = require('axios');
 
 // Import modular components
 const TickerAnalyzer = require('./modules/ticker-analyzer');
+const SymbolDirectory = require('./modules/symbol-directory');
+const TickerExtractor = require('./modules/ticker-extractor');
+const Watchlist = require('./modules/watchlist');
 
 let overlayWindow = null;
 let popupWindow = null;
+let popupTicker = null;
+let popupLoaded = false;
+let popupQueue = [];
+let chooserWindow = null;
+let chooserPayload = null;
+// Results of the chooser's last batch, so opening a ticker doesn't analyze it again
+let chooserResults = new Map();
 let backendServer = null;
 let watchModeEnabled = false;
 let clipboardMonitor = null;
 let lastClipboardText = '';
 
-// Initialize ticker analyzer
-const tickerAnalyzer = new TickerAnalyzer();
+// Known listings: the bundled symbols.csv plus any symbols.csv in the app's data folder
+const symbolDirectory = new SymbolDirectory({ dataDir: app.getPath('userData') });
+
+// Finds and scores the tickers mentioned in copied text
+const tickerExtractor = new TickerExtractor({ symbols: symbolDirectory });
+
+// Initialize ticker analyzer: at most two analyses at once, user requests ahead of watch mode
+const tickerAnalyzer = new TickerAnalyzer(undefined, { symbols: symbolDirectory, concurrency: 2 });
+
+// The overlay draws its own analyses and watchlist refreshes run unseen; everything else (watch mode,
+// shortcuts, the chooser, a clicked alert) opens the popup
+const QUIET_ORIGINS = new Set(['overlay', 'watchlist']);
+
+function wantsPopup(job) {
+  return !job || job.origins.length === 0 || job.origins.some(origin => !QUIET_ORIGINS.has(origin));
+}
 
 // Set up ticker analyzer callbacks
-tickerAnalyzer.setAnalysisCallback((ticker, data) => {
-  createPopupWindow(ticker, data);
+tickerAnalyzer.setProgressCallback((ticker, event, data, job) => {
+  if (!wantsPopup(job)) {
+    return;
+  }
+  // Open the popup as soon as the first section arrives, then fill it in
+  if (!popupWindow || popupWindow.isDestroyed() || popupTicker !== ticker) {
+    createPopupWindow(ticker);
+  }
+  sendToPopup('popup-progress', { ticker, event, data });
+});
+
+tickerAnalyzer.setAnalysisCallback((ticker, data, job) => {
+  if (!wantsPopup(job)) {
+    return;
+  }
+  if (popupWindow && !popupWindow.isDestroyed() && popupTicker === ticker) {
+    sendToPopup('popup-data', { ticker, ...data });
+  } else {
+    createPopupWindow(ticker, data);
+  }
   if (overlayWindow && !overlayWindow.isDestroyed()) {
     overlayWindow.webContents.send('ticker-captured', ticker);
   }
@@ -28,6 +70,105 @@ tickerAnalyzer.setErrorCallback((error) => {
   console.error('Ticker analysis error:', error.message);
 });
 
+// Keep the overlay's queue panel current
+tickerAnalyzer.setQueueCallback((change) => {
+  if (overlayWindow && !overlayWindow.isDestroyed()) {
+    overlayWindow.webContents.send('analysis-queue', change);
+  }
+});
+
+// Watched tickers, refreshed in the background behind anything the user asked for
+const watchlist = new Watchlist({
+  analyzer: tickerAnalyzer,
+  filePath: path.join(app.getPath('userData'), 'watchlist.json')
+});
+
+// Notifications shown and not yet clicked or closed; Electron drops the click handler of one
+// that gets garbage collected
+const activeNotifications = new Set();
+
+// Desktop notification that opens the ticker's news when clicked
+function showTickerNotification(ticker, title, body, options = {}) {
+  if (!Notification.isSupported()) {
+    return;
+  }
+
+  const notification = new Notification({ title, body, silent: Boolean(options.silent) });
+  activeNotifications.add(notification);
+  notification.on('click', () => {
+    activeNotifications.delete(notification);
+    tickerAnalyzer.analyze(ticker, { origin: 'alert' });
+  });
+  notification.on('close', () => activeNotifications.delete(notification));
+  notification.show();
+}
+
+watchlist.setAlertCallback((alert) => {
+  if (alert.type === 'sentiment-flip') {
+    showTickerNotification(alert.ticker, `${alert.ticker} sentiment turned ${alert.to}`,
+      `Was ${alert.from}, now ${alert.to} (${Math.round((alert.confidence || 0) * 100)}% confidence)`);
+  } else {
+    const count = alert.articles.length;
+    showTickerNotification(alert.ticker, `${alert.ticker}: ${count} new article${count === 1 ? '' : 's'}`,
+      alert.articles[0].title + (count > 1 ? ` (+${count - 1} more)` : ''));
+  }
+});
+
+// Alert rules are evaluated by the backend; the app polls what fired and carries out the desktop
+// actions. A rule with both a notification and a sound plays the notification's own sound
+const ALERT_POLL_INTERVAL = 10000;
+let lastAlertId = 0;
+let alertPoller = null;
+
+const desktopAlertActions = {
+  notification: (alert) => {
+    showTickerNotification(alert.ticker, `${alert.ticker}: ${alert.rule}`, alert.message, {
+      silent: !alert.actions.includes('sound')
+    });
+  },
+  sound: (alert) => {
+    if (!alert.actions.includes('notification')) {
+      shell.beep();
+    }
+  }
+};
+
+async function pollAlerts() {
+  try {
+    const response = await axios.get('http://localhost:3001/api/alerts', {
+      params: { after: lastAlertId },
+      timeout: 5000
+    });
+    const { alerts, lastId } = response.data;
+
+    // A restarted backend numbers its alerts from 1 again
+    if (lastId < lastAlertId) {
+      lastAlertId = 0;
+      return;
+    }
+
+    alerts.forEach(alert => {
+      alert.actions.forEach(action => {
+        if (desktopAlertActions[action]) {
+          desktopAlertActions[action](alert);
+        }
+      });
+    });
+    lastAlertId = lastId;
+  } catch (error) {
+    // The backend is still starting or was restarted; try again on the next tick
+    if (error.code !== 'ECONNREFUSED') {
+      console.error('Error polling alerts:', error.message);
+    }
+  }
+}
+
+watchlist.setChangeCallback((state) => {
+  if (overlayWindow && !overlayWindow.isDestroyed()) {
+    overlayWindow.webContents.send('watchlist-changed', state);
+  }
+});
+
 function createOverlayWindow() {
   overlayWindow = new BrowserWindow({
     width: 500,
@@ -60,6 +201,18 @@ function createOverlayWindow() {
   });
 }
 
+// Send to the popup, queueing until its page has loaded
+function sendToPopup(channel, payload) {
+  if (!popupWindow || popupWindow.isDestroyed()) {
+    return;
+  }
+  if (popupLoaded) {
+    popupWindow.webContents.send(channel, payload);
+  } else {
+    popupQueue.push([channel, payload]);
+  }
+}
+
 function createPopupWindow(ticker, data) {
   try {
     // Close existing popup if any
@@ -68,6 +221,10 @@ function createPopupWindow(ticker, data) {
       popupWindow = null;
     }
 
+    popupTicker = ticker;
+    popupLoaded = false;
+    popupQueue = data ? [['popup-data', { ticker, ...data }]] : [];
+
     const screen = require('electron').screen;
     const primaryDisplay = screen.getPrimaryDisplay();
     const { width, height } = primaryDisplay.workAreaSize;
@@ -100,15 +257,21 @@ function createPopupWindow(ticker, data) {
       popupWindow.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
     }
     
-    // Send data to popup when ready
-    popupWindow.webContents.once('did-finish-load', () => {
-      if (popupWindow && !popupWindow.isDestroyed()) {
-        popupWindow.webContents.send('popup-data', { ticker, ...data });
+    // Send queued data to popup when ready
+    const popup = popupWindow;
+    popup.webContents.once('did-finish-load', () => {
+      if (popupWindow === popup && !popup.isDestroyed()) {
+        popupLoaded = true;
+        popupQueue.forEach(([channel, payload]) => popup.webContents.send(channel, payload));
+        popupQueue = [];
       }
     });
 
-    popupWindow.on('closed', () => {
-      popupWindow = null;
+    popup.on('closed', () => {
+      if (popupWindow === popup) {
+        popupWindow = null;
+        popupTicker = null;
+      }
     });
 
     // Handle errors during window creation
@@ -118,8 +281,8 @@ function createPopupWindow(ticker, data) {
 
     // Auto-close after 30 seconds
     setTimeout(() => {
-      if (popupWindow && !popupWindow.isDestroyed()) {
-        popupWindow.close();
+      if (!popup.isDestroyed()) {
+        popup.close();
       }
     }, 30000);
   } catch (error) {
@@ -135,6 +298,148 @@ ipcMain.on('close-popup', () => {
   }
 });
 
+// Tickers mentioned in copied text scored below this are left out of the chooser
+const MIN_TICKER_CONFIDENCE = 0.5;
+
+// Ticker candidates in text, with company names for the chooser
+function findTickerCandidates(text) {
+  return tickerExtractor.extract(text)
+    .filter(candidate => candidate.confidence >= MIN_TICKER_CONFIDENCE)
+    .map(candidate => {
+      const listing = symbolDirectory.get(candidate.symbol);
+      return { ...candidate, name: listing ? listing.name : null };
+    });
+}
+
+// Small window listing the tickers found in copied text, to analyze one, several or all of them
+function createChooserWindow(text, candidates) {
+  try {
+    if (chooserWindow && !chooserWindow.isDestroyed()) {
+      chooserWindow.close();
+      chooserWindow = null;
+    }
+
+    chooserPayload = { text, candidates, scorable: isScorableText(text) };
+    chooserResults = new Map();
+
+    const { width } = screen.getPrimaryDisplay().workAreaSize;
+    const chooser = new BrowserWindow({
+      width: 380,
+      height: Math.min(200 + candidates.length * 44, 520),
+      frame: false,
+      transparent: true,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      resizable: false,
+      movable: true,
+      show: false,
+      // Left of the news popup, so both fit on screen
+      x: Math.max(0, width - 470 - 400),
+      y: 20,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'chooser-preload.js')
+      }
+    });
+    chooserWindow = chooser;
+
+    chooser.loadFile('chooser.html');
+    chooser.setAlwaysOnTop(true, 'screen-saver', 1);
+    if (process.platform === 'darwin') {
+      chooser.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+    }
+
+    // Don't take focus from the app the text was copied from
+    chooser.webContents.once('did-finish-load', () => {
+      if (!chooser.isDestroyed()) {
+        chooser.webContents.send('chooser-candidates', chooserPayload);
+        chooser.showInactive();
+      }
+    });
+
+    chooser.on('closed', () => {
+      if (chooserWindow === chooser) {
+        chooserWindow = null;
+        chooserPayload = null;
+      }
+    });
+
+    chooser.webContents.on('did-fail-load', (event, errorCode, errorDescription) => {
+      console.error('Chooser window failed to load:', errorCode, errorDescription);
+    });
+  } catch (error) {
+    console.error('Error creating chooser window:', error);
+    chooserWindow = null;
+  }
+}
+
+function closeChooserWindow() {
+  if (chooserWindow && !chooserWindow.isDestroyed()) {
+    chooserWindow.close();
+  }
+}
+
+// Handle the chooser's buttons
+ipcMain.handle('chooser-analyze', async (event, tickers) => {
+  const symbols = [...new Set((Array.isArray(tickers) ? tickers : [])
+    .map(ticker => symbolDirectory.canonicalize(String(ticker)))
+    .filter(Boolean))];
+  if (symbols.length === 0) {
+    return { error: 'No tickers selected' };
+  }
+
+  // A single ticker gets the usual streaming popup
+  if (symbols.length === 1) {
+    closeChooserWindow();
+    tickerAnalyzer.analyze(symbols[0], { origin: 'chooser' });
+    return { results: [] };
+  }
+
+  try {
+    const { results } = await tickerAnalyzer.analyzeBatch(symbols);
+    results.filter(result => result.ok).forEach(result => chooserResults.set(result.ticker, result.data));
+
+    // The chooser only needs each ticker's overall call; the popup gets the rest on open
+    return {
+      results: results.map(result => ({
+        ticker: result.ticker,
+        ok: result.ok,
+        error: result.error,
+        articleCount: result.ok ? (result.data.articles || []).length : 0,
+        sentiment: result.ok && result.data.sentiment && !result.data.sentiment.error ? {
+          sentiment: result.data.sentiment.sentiment,
+          predicted: result.data.sentiment.predicted,
+          confidence: result.data.sentiment.confidence
+        } : null
+      }))
+    };
+  } catch (error) {
+    console.error('Error analyzing chosen tickers:', error.message);
+    return { error: error.message || 'Failed to connect to backend server' };
+  }
+});
+
+ipcMain.on('chooser-open', (event, ticker) => {
+  const data = chooserResults.get(ticker);
+  if (data) {
+    createPopupWindow(ticker, data);
+  } else {
+    tickerAnalyzer.analyze(ticker, { origin: 'chooser' });
+  }
+});
+
+ipcMain.on('chooser-score-text', () => {
+  if (chooserPayload) {
+    sendTextToOverlay(chooserPayload.text);
+  }
+  closeChooserWindow();
+});
+
+ipcMain.on('close-chooser', () => {
+  closeChooserWindow();
+});
+
 // Handle hide overlay
 ipcMain.on('hide-overlay', () => {
   if (overlayWindow) {
@@ -160,6 +465,27 @@ function isTickerSymbol(text) {
   return tickerAnalyzer.isValidTicker(text);
 }
 
+// Copied text that isn't a ticker is scored as free text if it has at least this many words
+const MIN_TEXT_WORDS = 4;
+
+function isScorableText(text) {
+  if (/^\S+:\/\/\S+$/.test(text)) {
+    return false; // a lone URL
+  }
+  return text.split(/\s+/).filter(word => /[A-Za-z]/.test(word)).length >= MIN_TEXT_WORDS;
+}
+
+// Show the overlay's paste-text tab with the text and score it, without stealing focus
+function sendTextToOverlay(text) {
+  if (!overlayWindow || overlayWindow.isDestroyed()) {
+    return;
+  }
+  if (!overlayWindow.isVisible()) {
+    overlayWindow.showInactive();
+  }
+  overlayWindow.webContents.send('text-captured', text);
+}
+
 
 function startClipboardMonitoring() {
   if (clipboardMonitor) {
@@ -188,23 +514,14 @@ function startClipboardMonitoring() {
         // Update lastClipboardText immediately to prevent re-processing
         lastClipboardText = trimmedText;
         
-        // Check if it's a valid ticker
-        const isValid = tickerAnalyzer.isValidTicker(trimmedText);
-        console.log(`📋 Is valid ticker: ${isValid}`);
-        
-        if (isValid) {
-          const now = Date.now();
-          // Debounce: only process once every 2 seconds
-          if (now - lastProcessTime > 2000) {
-            lastProcessTime = now;
-            console.log(`✅ Detected ticker in clipboard: ${trimmedText}`);
-            tickerAnalyzer.analyze(trimmedText);
-          } else {
-            const secondsAgo = Math.floor((now - lastProcessTime) / 1000);
-            console.log(`⏸️ Debouncing - last processed ${secondsAgo}s ago (need 2s)`);
-          }
+        const now = Date.now();
+        // Debounce: only process once every 2 seconds
+        if (now - lastProcessTime > 2000) {
+          lastProcessTime = now;
+          routeCopiedText(trimmedText, 'watch');
         } else {
-          console.log(`⚠️ "${trimmedText}" is not a valid ticker symbol`);
+          const secondsAgo = Math.floor((now - lastProcessTime) / 1000);
+          console.log(`⏸️ Debouncing - last processed ${secondsAgo}s ago (need 2s)`);
         }
       }
     } catch (error) {
@@ -221,15 +538,42 @@ function stopClipboardMonitoring() {
   }
 }
 
+// Decide what copied text is: a ticker or company name, a passage mentioning tickers, or text to score
+// origin is 'watch' for watch mode (queued behind analyses the user asked for) or 'shortcut'
+function routeCopiedText(text, origin) {
+  const analysisOptions = { origin, priority: origin === 'watch' ? 'watch' : 'user' };
+
+  // The whole text is a ticker or a company name ("Nvidia" -> NVDA)
+  const ticker = tickerAnalyzer.resolveTicker(text);
+  if (ticker) {
+    console.log(`✅ Detected ticker in clipboard: ${ticker}`);
+    tickerAnalyzer.analyze(ticker, analysisOptions);
+    return;
+  }
+
+  const candidates = findTickerCandidates(text);
+  const scorable = isScorableText(text);
+  console.log(`📋 Tickers in copied text: ${candidates.map(c => `${c.symbol} (${c.confidence})`).join(', ') || 'none'}`);
+
+  if (candidates.length > 1 || (candidates.length === 1 && scorable)) {
+    // Let the user pick, or score the passage itself
+    createChooserWindow(text, candidates);
+  } else if (candidates.length === 1) {
+    tickerAnalyzer.analyze(candidates[0].symbol, analysisOptions);
+  } else if (scorable) {
+    console.log(`📝 Scoring copied text (${text.length} chars)`);
+    sendTextToOverlay(text);
+  } else {
+    console.log(`⚠️ "${text}" is not a valid ticker symbol or text to score`);
+  }
+}
+
 // Function to capture ticker from clipboard (for shortcut)
 function captureTickerFromClipboard() {
   const clipboardText = clipboard.readText().trim();
   
-  if (clipboardText && tickerAnalyzer.isValidTicker(clipboardText)) {
-    console.log(`✅ Analyzing ticker from clipboard: ${clipboardText}`);
-    tickerAnalyzer.analyze(clipboardText);
-  } else if (clipboardText) {
-    console.log(`⚠️ Clipboard contains "${clipboardText}" which is not a valid ticker`);
+  if (clipboardText) {
+    routeCopiedText(clipboardText, 'shortcut');
   } else {
     console.log('⚠️ Clipboard is empty');
   }
@@ -239,7 +583,9 @@ function startBackendServer() {
   // Start the Express backend server
   backendServer = spawn('node', ['server.js'], {
     cwd: __dirname,
-    stdio: 'inherit'
+    stdio: 'inherit',
+    // Keep the server's persistent history alongside the app's other user data
+    env: { ...process.env, TRADING_ASSISTANT_DATA_DIR: app.getPath('userData') }
   });
 
   backendServer.on('error', (err) => {
@@ -254,6 +600,13 @@ app.whenReady().then(() => {
   // Create overlay window
   createOverlayWindow();
 
+  // Start refreshing the saved watchlist
+  watchlist.load();
+  watchlist.start();
+
+  // Carry out alert rules the backend fires
+  alertPoller = setInterval(pollAlerts, ALERT_POLL_INTERVAL);
+
   // Register global shortcut to toggle overlay (Cmd+Shift+T)
   globalShortcut.register('CommandOrControl+Shift+T', () => {
     if (overlayWindow) {
@@ -322,6 +675,10 @@ app.on('activate', () => {
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
   stopClipboardMonitoring();
+  closeChooserWindow();
+  watchlist.stop();
+  clearInterval(alertPoller);
+  tickerAnalyzer.cancelAll();
   if (backendServer) {
     backendServer.kill();
   }
@@ -344,6 +701,142 @@ ipcMain.handle('analyze-ticker', async (event, ticker) => {
   }
 });
 
+ipcMain.handle('analyze-text', async (event, text) => {
+  try {
+    const response = await axios.post('http://localhost:3001/api/sentiment', { text });
+    return response.data;
+  } catch (error) {
+    console.error('Error scoring text:', error.message);
+    const message = error.response && error.response.data && error.response.data.error;
+    return { error: message || error.message || 'Failed to connect to backend server' };
+  }
+});
+
+ipcMain.handle('get-sentiment-history', async (event, ticker, options = {}) => {
+  try {
+    const response = await axios.get(`http://localhost:3001/api/sentiment/history/${encodeURIComponent(ticker)}`, {
+      params: options
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching sentiment history:', error.message);
+    return { error: error.message || 'Failed to connect to backend server' };
+  }
+});
+
+ipcMain.handle('get-model-metrics', async () => {
+  try {
+    const response = await axios.get('http://localhost:3001/api/model/metrics');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching model metrics:', error.message);
+    return { error: error.message || 'Failed to connect to backend server' };
+  }
+});
+
+// Analyst feedback on a sentiment label, from the overlay or the popup
+ipcMain.handle('submit-feedback', async (event, feedback) => {
+  try {
+    const response = await axios.post('http://localhost:3001/api/feedback', feedback);
+    return response.data;
+  } catch (error) {
+    console.error('Error submitting feedback:', error.message);
+    const message = error.response && error.response.data && error.response.data.error;
+    return { error: message || error.message || 'Failed to connect to backend server' };
+  }
+});
+
+// Streaming analysis: partial results are pushed to the caller as 'analysis-progress' events
+// The overlay shows one analysis at a time; starting another withdraws the previous request
+let overlayAnalysis = null;
+
+ipcMain.handle('analyze-ticker-stream', async (event, ticker, requestId) => {
+  if (overlayAnalysis) {
+    overlayAnalysis.abort();
+  }
+  const controller = new AbortController();
+  overlayAnalysis = controller;
+
+  const result = await tickerAnalyzer.analyze(ticker, {
+    origin: 'overlay',
+    signal: controller.signal,
+    onProgress: (name, data) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('analysis-progress', { requestId, event: name, data });
+      }
+    }
+  });
+
+  if (overlayAnalysis === controller) {
+    overlayAnalysis = null;
+  }
+  return result;
+});
+
+ipcMain.handle('get-analysis-queue', () => {
+  return tickerAnalyzer.getQueue();
+});
+
+ipcMain.handle('cancel-analysis', (event, ticker) => {
+  return tickerAnalyzer.cancel(ticker);
+});
+
+// Alert rules settings panel
+ipcMain.handle('get-alert-rules', async () => {
+  try {
+    const response = await axios.get('http://localhost:3001/api/alerts/rules');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching alert rules:', error.message);
+    return { error: error.message || 'Failed to connect to backend server' };
+  }
+});
+
+ipcMain.handle('save-alert-rule', async (event, rule) => {
+  try {
+    const response = rule.id
+      ? await axios.put(`http://localhost:3001/api/alerts/rules/${encodeURIComponent(rule.id)}`, rule)
+      : await axios.post('http://localhost:3001/api/alerts/rules', rule);
+    return response.data;
+  } catch (error) {
+    console.error('Error saving alert rule:', error.message);
+    const message = error.response && error.response.data && error.response.data.error;
+    return { error: message || error.message || 'Failed to connect to backend server' };
+  }
+});
+
+ipcMain.handle('delete-alert-rule', async (event, id) => {
+  try {
+    const response = await axios.delete(`http://localhost:3001/api/alerts/rules/${encodeURIComponent(id)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting alert rule:', error.message);
+    const message = error.response && error.response.data && error.response.data.error;
+    return { error: message || error.message || 'Failed to connect to backend server' };
+  }
+});
+
+ipcMain.handle('get-watchlist', () => {
+  return watchlist.getState();
+});
+
+ipcMain.handle('watchlist-add', (event, ticker) => {
+  return watchlist.add(ticker);
+});
+
+ipcMain.handle('watchlist-remove', (event, ticker) => {
+  return watchlist.remove(ticker);
+});
+
+ipcMain.handle('watchlist-refresh', () => {
+  watchlist.refreshAll();
+  return watchlist.getState();
+});
+
+ipcMain.handle('watchlist-settings', (event, changes) => {
+  return watchlist.updateSettings(changes);
+});
+
 // Handler to capture selected text and analyze if it's a ticker
 ipcMain.handle('capture-selected-text', () => {
   return new Promise((resolve) => {
@@ -358,7 +851,7 @@ ipcMain.handle('toggle-watch-mode', () => {
   if (watchModeEnabled) {
     startClipboardMonitoring();
     console.log('✅ Watch mode enabled!');
-    console.log('💡 Copy any ticker (Cmd+C) and it will be analyzed automatically');
+    console.log('💡 Copy any ticker (Cmd+C) and it will be analyzed automatically; copied sentences get a sentiment score');
   } else {
     stopClipboardMonitoring();
     console.log('⏸️ Watch mode disabled');
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Alert Rules Module
+ * Declarative rules checked against each analysis result. A rule's conditions must all hold, e.g.
+ * "sentiment = negative" and "confidence > 0.8"; when they do, it fires through its actions
+ */
+
+// What a condition can test, read from an analysis result and its context
+const FIELDS = {
+  sentiment: { type: 'text', read: (result) => (result.sentiment ? [result.sentiment.sentiment] : []) },
+  confidence: { type: 'number', read: (result) => (result.sentiment ? [result.sentiment.confidence] : []) },
+  positive: { type: 'number', read: (result) => (result.sentiment ? [result.sentiment.probability_positive] : []) },
+  neutral: { type: 'number', read: (result) => (result.sentiment ? [result.sentiment.probability_neutral] : []) },
+  negative: { type: 'number', read: (result) => (result.sentiment ? [result.sentiment.probability_negative] : []) },
+  headline: { type: 'text', read: (result) => (result.articles || []).map(article => article.title) },
+  articles: { type: 'number', read: (result) => [(result.articles || []).length] },
+  // Articles first seen in this analysis, or within the window ("new articles in 1h > 5")
+  'new articles': {
+    type: 'number',
+    windowed: true,
+    read: (result, context, window) => [window ? context.countNewArticles(window) : context.newArticles]
+  },
+  ticker: { type: 'text', read: (result) => [result.ticker] }
+};
+
+const OPERATORS = {
+  '=': { types: ['text', 'number'], test: (actual, expected) => matchesAny(actual, expected, (a, e) => a === e) },
+  '!=': { types: ['text', 'number'], test: (actual, expected) => !matchesAny(actual, expected, (a, e) => a === e) },
+  '>': { types: ['number'], test: (actual, expected) => actual > expected },
+  '>=': { types: ['number'], test: (actual, expected) => actual >= expected },
+  '<': { types: ['number'], test: (actual, expected) => actual < expected },
+  '<=': { types: ['number'], test: (actual, expected) => actual <= expected },
+  contains: { types: ['text'], test: (actual, expected) => expected.some(word => wordPattern(word).test(actual)) }
+};
+
+const WINDOW_UNITS = { m: 60 * 1000, min: 60 * 1000, h: 60 * 60 * 1000, hour: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// Longest field names first, so "new articles" isn't read as "new" followed by junk
+const FIELD_PATTERN = Object.keys(FIELDS).sort((a, b) => b.length - a.length).join('|');
+const OPERATOR_PATTERN = Object.keys(OPERATORS).sort((a, b) => b.length - a.length).join('|');
+const CONDITION_PATTERN = new RegExp(`^(${FIELD_PATTERN})(?:\\s+in\\s+(\\d+)\\s*(min|hour|day|m|h|d)s?)?\\s*(${OPERATOR_PATTERN})\\s*(.+)$`, 'i');
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+function matchesAny(actual, expected, equals) {
+  return expected.some(value => equals(typeof actual === 'string' ? actual.toLowerCase() : actual, value));
+}
+
+function wordPattern(word) {
+  return new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+}
+
+/**
+ * Parse one condition, e.g. "confidence > 0.8", "headline contains lawsuit|SEC|recall"
+ * or "new articles in 1h > 5". `|` separates alternatives for = and contains
+ * @param {string} text
+ * @returns {Object} { text, field, window, operator, value }
+ * @throws {Error} When the condition can't be read
+ */
+function parseCondition(text) {
+  const source = String(text || '').trim();
+  const match = source.match(CONDITION_PATTERN);
+  if (!match) {
+    throw new Error(`Can't read condition "${source}". Use <field> <operator> <value>, e.g. "confidence > 0.8"`);
+  }
+
+  const [, name, windowAmount, windowUnit, operatorName, rawValue] = match;
+  const fieldName = name.toLowerCase();
+  const field = FIELDS[fieldName];
+  const operator = operatorName.toLowerCase();
+
+  if (!OPERATORS[operator].types.includes(field.type)) {
+    throw new Error(`"${operator}" doesn't apply to ${fieldName} in "${source}"`);
+  }
+  if (windowAmount && !field.windowed) {
+    throw new Error(`Only new articles can be counted over a time window in "${source}"`);
+  }
+
+  let value = rawValue.trim().split('|').map(part => part.trim()).filter(Boolean);
+  if (field.type === 'number') {
+    value = value.map(Number);
+    if (value.length === 0 || value.some(number => !Number.isFinite(number))) {
+      throw new Error(`${fieldName} needs a number in "${source}"`);
+    }
+    if (operator !== '=' && operator !== '!=') value = value[0];
+  } else {
+    if (value.length === 0) {
+      throw new Error(`Missing value in "${source}"`);
+    }
+    if (operator !== 'contains') value = value.map(part => part.toLowerCase());
+  }
+
+  return {
+    text: source,
+    field: fieldName,
+    window: windowAmount ? Number(windowAmount) * WINDOW_UNITS[windowUnit.toLowerCase()] : null,
+    operator,
+    value
+  };
+}
+
+class AlertRuleEngine {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file the rules are kept in (none if omitted)
+   * @param {number} [options.historySize=100] - Fired alerts kept for GET /api/alerts
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.historySize = options.historySize || 100;
+    this.rules = [];
+    this.actions = new Map();
+    this.history = [];
+    this.lastId = 0;
+    this.lastFired = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Add an action rules can fire through
+   * @param {string} name - Name used in a rule's actions
+   * @param {Function|null} handler - Called with each alert (may be async); null for actions the
+   *   desktop app carries out from the alert feed
+   * @param {Object} [options]
+   * @param {string} [options.description] - Shown in the settings panel
+   */
+  registerAction(name, handler, options = {}) {
+    this.actions.set(name, { handler, description: options.description || name });
+  }
+
+  /**
+   * Registered actions
+   * @returns {Array<Object>} [{ name, description }]
+   */
+  listActions() {
+    return Array.from(this.actions.entries()).map(([name, action]) => ({ name, description: action.description }));
+  }
+
+  /**
+   * Load rules from the config file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.rules = [];
+      for (const rule of saved) {
+        try {
+          this.rules.push(this.normalize(rule));
+        } catch (error) {
+          console.error(`Skipping alert rule "${rule.name || rule.id}":`, error.message);
+        }
+      }
+      console.log(`🔔 Loaded ${this.rules.length} alert rules from ${this.filePath}`);
+    } catch (error) {
+      console.error(`Invalid alert rules config ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write the rules to the config file (atomically, via a temp file)
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (!this.filePath) return Promise.resolve();
+
+    // Writes go one after another so two saves never share the temp file
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      const rules = this.rules.map(({ conditions, ...rule }) => rule);
+      await fs.promises.writeFile(tmpPath, JSON.stringify(rules, null, 2), 'utf8');
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+    return this.saving;
+  }
+
+  /**
+   * Check a rule and fill in defaults
+   * @param {Object} rule - { id, name, when: [conditions], actions: [names], tickers, cooldownMinutes, enabled }
+   * @returns {Object} The rule with its parsed conditions
+   * @throws {Error} Naming the first thing wrong with it
+   */
+  normalize(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('A rule must be an object');
+    }
+    const name = String(rule.name || '').trim();
+    if (!name) {
+      throw new Error('A rule needs a name');
+    }
+
+    const when = (Array.isArray(rule.when) ? rule.when : [rule.when])
+      .map(text => String(text || '').trim())
+      .filter(Boolean);
+    if (when.length === 0) {
+      throw new Error('A rule needs at least one condition');
+    }
+    const conditions = when.map(parseCondition);
+
+    const actions = [...new Set(Array.isArray(rule.actions) ? rule.actions : [])];
+    if (actions.length === 0) {
+      throw new Error('A rule needs at least one action');
+    }
+    const unknown = actions.filter(action => !this.actions.has(action));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown actions: ${unknown.join(', ')}`);
+    }
+
+    const cooldownMinutes = rule.cooldownMinutes !== undefined ? Number(rule.cooldownMinutes) : DEFAULT_COOLDOWN_MINUTES;
+    if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+      throw new Error('cooldownMinutes must be 0 or more');
+    }
+
+    return {
+      id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      enabled: rule.enabled !== false,
+      tickers: (Array.isArray(rule.tickers) ? rule.tickers : [])
+        .map(ticker => String(ticker).trim().toUpperCase())
+        .filter(Boolean),
+      when,
+      actions,
+      cooldownMinutes,
+      conditions
+    };
+  }
+
+  /**
+   * Rules as stored, without their parsed conditions
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.rules.map(({ conditions, ...rule }) => rule);
+  }
+
+  /**
+   * Add a rule and save
+   * @param {Object} rule
+   * @returns {Promise<Object>} The saved rule
+   * @throws {Error} When the rule is invalid
+   */
+  async addRule(rule) {
+    const { id, ...fields } = rule || {};
+    const normalized = this.normalize(fields);
+    this.rules.push(normalized);
+    await this.save();
+    return this.list().find(saved => saved.id === normalized.id);
+  }
+
+  /**
+   * Change a rule and save
+   * @param {string} id - Rule id
+   * @param {Object} changes - Fields to replace
+   * @returns {Promise<Object|null>} The saved rule, or null if there is no such rule
+   * @throws {Error} When the changed rule is invalid
+   */
+  async updateRule(id, changes) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) return null;
+
+    const { conditions, ...current } = this.rules[index];
+    this.rules[index] = this.normalize({ ...current, ...changes, id });
+    await this.save();
+    return this.list()[index];
+  }
+
+  /**
+   * Delete a rule and save
+   * @param {string} id - Rule id
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async removeRule(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    if (this.rules.length === before) return false;
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Which of a rule's conditions hold for a result, and the values that made them hold
+   * @param {Object} rule - Normalized rule
+   * @param {Object} result - Analysis result ({ ticker, articles, sentiment })
+   * @param {Object} context - { newArticles, countNewArticles(windowMs) }
+   * @returns {Array<Object>|null} [{ condition, field, value }] when every condition holds, else null
+   */
+  match(rule, result, context) {
+    const matches = [];
+    for (const condition of rule.conditions) {
+      const field = FIELDS[condition.field];
+      const values = field.read(result, context, condition.window)
+        .filter(value => value !== undefined && value !== null);
+      const hit = values.find(value => OPERATORS[condition.operator].test(value, condition.value));
+      if (hit === undefined) return null;
+      matches.push({ condition: condition.text, field: condition.field, value: hit });
+    }
+    return matches;
+  }
+
+  /**
+   * Check every enabled rule against an analysis result and fire the ones that match
+   * A rule fires at most once per ticker within its cooldown
+   * @param {Object} result - Analysis result ({ ticker, articles, sentiment })
+   * @param {Object} [context]
+   * @param {number} [context.newArticles=0] - Articles first seen in this analysis
+   * @param {Function} [context.countNewArticles] - Articles first seen within the last windowMs
+   * @returns {Array<Object>} Alerts fired
+   */
+  evaluate(result, context = {}) {
+    const fullContext = {
+      newArticles: context.newArticles || 0,
+      countNewArticles: context.countNewArticles || (() => context.newArticles || 0)
+    };
+    const now = Date.now();
+    const fired = [];
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      if (rule.tickers.length > 0 && !rule.tickers.includes(result.ticker)) continue;
+
+      const key = `${rule.id}|${result.ticker}`;
+      if (now - (this.lastFired.get(key) || 0) < rule.cooldownMinutes * 60 * 1000) continue;
+
+      let matches;
+      try {
+        matches = this.match(rule, result, fullContext);
+      } catch (error) {
+        console.error(`Error checking alert rule "${rule.name}":`, error.message);
+        continue;
+      }
+      if (!matches) continue;
+
+      this.lastFired.set(key, now);
+      fired.push(this._fire(rule, result.ticker, matches));
+    }
+
+    return fired;
+  }
+
+  _fire(rule, ticker, matches) {
+    const alert = {
+      id: ++this.lastId,
+      ruleId: rule.id,
+      rule: rule.name,
+      ticker,
+      firedAt: new Date().toISOString(),
+      actions: rule.actions,
+      // The matching headline itself reads better than the condition it matched
+      message: matches.map(({ condition, field, value }) => (field === 'headline' ? `"${value}"` : `${condition} (${value})`)).join(', '),
+      matches
+    };
+
+    this.history.push(alert);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    console.log(`🔔 Alert "${rule.name}" for ${ticker}: ${alert.message}`);
+
+    for (const name of rule.actions) {
+      const action = this.actions.get(name);
+      if (!action || !action.handler) continue;
+      Promise.resolve()
+        .then(() => action.handler(alert))
+        .catch(error => console.error(`Alert action ${name} failed:`, error.message));
+    }
+    return alert;
+  }
+
+  /**
+   * Alerts fired after a given id, oldest first
+   * @param {number} [afterId=0]
+   * @returns {Object} { alerts, lastId }
+   */
+  getAlerts(afterId = 0) {
+    return {
+      alerts: this.history.filter(alert => alert.id > afterId),
+      lastId: this.lastId
+    };
+  }
+}
+
+/**
+ * Action that appends each alert as a JSON line to a log file
+ * @param {string} filePath
+ * @returns {Function}
+ */
+function createLogAction(filePath) {
+  return async (alert) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify(alert) + '\n', 'utf8');
+  };
+}
+
+module.exports = AlertRuleEngine;
+module.exports.parseCondition = parseCondition;
+module.exports.createLogAction = createLogAction;
+module.exports.FIELDS = Object.keys(FIELDS);
+module.exports.OPERATORS = Object.keys(OPERATORS);
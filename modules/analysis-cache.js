@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Analysis Cache Module
+ * Size-bounded LRU cache with per-kind TTLs, stale-while-revalidate and disk persistence
+ */
+
+class AnalysisCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=200] - Least recently used entries are evicted past this
+   * @param {Object} [options.ttl] - Fresh lifetime in ms per kind: { hit, empty, error }
+   * @param {number} [options.staleTtl=1800000] - How long past expiry a 'hit' may still be served stale
+   * @param {string} [options.filePath] - JSON file to persist entries to (none if omitted)
+   * @param {number} [options.saveDelay=1000] - Debounce for disk writes in ms
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 200;
+    this.ttl = {
+      hit: 5 * 60 * 1000,
+      empty: 60 * 1000,
+      error: 30 * 1000,
+      ...options.ttl
+    };
+    this.staleTtl = options.staleTtl !== undefined ? options.staleTtl : 30 * 60 * 1000;
+    this.filePath = options.filePath || null;
+    this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 1000;
+    this.entries = new Map();
+    this.saveTimer = null;
+    this.stats = { hits: 0, staleHits: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * Load persisted entries, dropping any that can no longer be served
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of saved) {
+        if (this._servableUntil(entry) > now) {
+          this.entries.set(key, entry);
+        }
+      }
+      this._evict();
+      console.log(`💾 Restored ${this.entries.size} cached analyses from disk`);
+    } catch (error) {
+      console.error('Error loading analysis cache:', error.message);
+    }
+  }
+
+  _servableUntil(entry) {
+    return entry.expiresAt + (entry.kind === 'hit' ? this.staleTtl : 0);
+  }
+
+  /**
+   * Look up an entry and mark it most recently used
+   * @param {string} key - Cache key
+   * @returns {Object} { state: 'fresh'|'stale'|'miss', value, kind }
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    const now = Date.now();
+
+    if (!entry || this._servableUntil(entry) <= now) {
+      if (entry) this.delete(key);
+      this.stats.misses++;
+      return { state: 'miss' };
+    }
+
+    // Re-insert to move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (entry.expiresAt > now) {
+      this.stats.hits++;
+      return { state: 'fresh', value: entry.value, kind: entry.kind };
+    }
+
+    this.stats.staleHits++;
+    return { state: 'stale', value: entry.value, kind: entry.kind };
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {string} [kind='hit'] - 'hit', 'empty' or 'error'; selects the TTL
+   */
+  set(key, value, kind = 'hit') {
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      kind,
+      storedAt: now,
+      expiresAt: now + (this.ttl[kind] || this.ttl.hit)
+    });
+    this._evict();
+    this._scheduleSave();
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether an entry was removed
+   */
+  delete(key) {
+    const removed = this.entries.delete(key);
+    if (removed) this._scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Remove the entries whose key passes a test
+   * @param {Function} predicate - Called with each key
+   * @returns {number} Number of entries removed
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (predicate(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) this._scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Remove every entry
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this._scheduleSave();
+    return count;
+  }
+
+  _evict() {
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.error('Error saving analysis cache:', error.message));
+    }, this.saveDelay);
+    // Don't keep the process alive just to write the cache
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  /**
+   * Write entries to disk (atomically, via a temp file)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.filePath) return;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(Array.from(this.entries.entries())), 'utf8');
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Hit rates, size and per-entry ages
+   * @returns {Object}
+   */
+  getStats() {
+    const now = Date.now();
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups ? Math.round(((this.stats.hits + this.stats.staleHits) / lookups) * 1000) / 1000 : 0,
+      ttl: { ...this.ttl, stale: this.staleTtl },
+      entries: Array.from(this.entries.entries()).reverse().map(([key, entry]) => ({
+        key,
+        kind: entry.kind,
+        ageMs: now - entry.storedAt,
+        stale: entry.expiresAt <= now
+      }))
+    };
+  }
+}
+
+module.exports = AnalysisCache;
@@ -0,0 +1,257 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * Article Body Extractor Module
+ * Follows article links and pulls out the main body text
+ */
+
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', 'figure', 'figcaption'
+].join(', ');
+
+const UNLIKELY_PATTERN = /comment|sidebar|footer|header|nav|menu|promo|share|social|related|recommend|advert|sponsor|subscribe|newsletter|cookie|banner|popup|modal|breadcrumb/i;
+const LIKELY_PATTERN = /article|body|content|story|entry|main|post|text/i;
+
+// Addresses a feed's link must not send the backend to: unspecified, private, carrier-grade NAT,
+// loopback, link-local (cloud metadata lives there), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is in a range the extractor won't fetch from
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is the IPv4 address underneath
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Reject links that aren't http(s) or name a private address outright
+ * Host names are checked when they resolve (see publicLookup)
+ * @param {string} protocol - URL protocol, e.g. 'https:'
+ * @param {string} hostname - URL host name or IP address
+ * @throws {Error}
+ */
+function checkTarget(protocol, hostname) {
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Unsupported URL scheme: ${protocol}`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`Refusing to fetch from private address ${host}`);
+  }
+}
+
+/**
+ * DNS lookup for article requests (and their redirects) that fails for names resolving to a
+ * private address, so a feed item can't point the backend at internal services
+ * @param {string} hostname
+ * @returns {Promise<Array>} [address, family]
+ */
+async function publicLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw new Error(`Refusing to fetch ${hostname}: it resolves to private address ${blocked.address}`);
+  }
+  return [addresses[0].address, addresses[0].family];
+}
+
+class ArticleBodyExtractor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=4] - Pages fetched at once
+   * @param {number} [options.timeout=5000] - Per-page timeout in ms
+   * @param {number} [options.maxBytes=2000000] - Largest page downloaded
+   * @param {number} [options.maxChars=4000] - Body text kept per article
+   * @param {string} [options.fixtureDir] - Read pages from this folder instead of the network
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 4;
+    this.timeout = options.timeout || 5000;
+    this.maxBytes = options.maxBytes || 2000000;
+    this.maxChars = options.maxChars || 4000;
+    this.fixtureDir = options.fixtureDir || null;
+  }
+
+  /**
+   * Map a URL to its fixture file name
+   * e.g. https://example.com/news/a-b -> example_com_news_a_b.html
+   * @param {string} url - Article URL
+   * @returns {string}
+   */
+  static fixtureName(url) {
+    return url
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/[?#].*$/, '')
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .replace(/^_|_$/g, '') + '.html';
+  }
+
+  /**
+   * Download a page (or read its fixture)
+   * @param {string} url - Article URL
+   * @param {Object} limits - timeout and maxBytes
+   * @returns {Promise<string|null>} HTML, or null if there's no fixture
+   */
+  async _loadHtml(url, limits) {
+    if (this.fixtureDir) {
+      const fixturePath = path.join(this.fixtureDir, ArticleBodyExtractor.fixtureName(url));
+      if (!fs.existsSync(fixturePath)) return null;
+      return fs.promises.readFile(fixturePath, 'utf8');
+    }
+
+    const { protocol, hostname } = new URL(url);
+    checkTarget(protocol, hostname);
+
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      timeout: limits.timeout,
+      maxContentLength: limits.maxBytes,
+      maxRedirects: 5,
+      beforeRedirect: (options) => checkTarget(options.protocol, options.hostname),
+      lookup: publicLookup,
+      responseType: 'text'
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !contentType.includes('html')) {
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Extract the main body text from an HTML page
+   * Scores paragraph containers by text length and commas, penalizing
+   * link-heavy and boilerplate-looking blocks (Readability-style)
+   * @param {string} html - Page HTML
+   * @param {number} [maxChars] - Truncate the result to this many characters
+   * @returns {string} Body text, paragraphs separated by blank lines
+   */
+  extractText(html, maxChars = this.maxChars) {
+    const $ = cheerio.load(html);
+
+    $(BOILERPLATE_SELECTORS).remove();
+    $('[class], [id]').each((i, elem) => {
+      const marker = `${$(elem).attr('class') || ''} ${$(elem).attr('id') || ''}`;
+      if (UNLIKELY_PATTERN.test(marker) && !LIKELY_PATTERN.test(marker) && elem.tagName !== 'body') {
+        $(elem).remove();
+      }
+    });
+
+    const scores = new Map();
+    const addScore = (elem, value) => {
+      if (!elem || elem.type !== 'tag') return;
+      scores.set(elem, (scores.get(elem) || 0) + value);
+    };
+
+    $('p').each((i, p) => {
+      const text = $(p).text().replace(/\s+/g, ' ').trim();
+      if (text.length < 25) return;
+
+      const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = p.parent;
+      addScore(parent, score);
+      addScore(parent && parent.parent, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [elem, rawScore] of scores) {
+      const text = $(elem).text();
+      const linkText = $(elem).find('a').text();
+      const linkDensity = text.length ? linkText.length / text.length : 1;
+      const marker = `${$(elem).attr('class') || ''} ${$(elem).attr('id') || ''}`;
+      const bonus = LIKELY_PATTERN.test(marker) || elem.tagName === 'article' ? 1.25 : 1;
+      const score = rawScore * (1 - linkDensity) * bonus;
+      if (score > bestScore) {
+        best = elem;
+        bestScore = score;
+      }
+    }
+
+    const paragraphs = [];
+    $(best || 'body').find('p').each((i, p) => {
+      const text = $(p).text().replace(/\s+/g, ' ').trim();
+      if (text.length >= 25) paragraphs.push(text);
+    });
+
+    const body = paragraphs.join('\n\n');
+    return body.length > maxChars ? body.substring(0, maxChars) : body;
+  }
+
+  /**
+   * Fetch and extract the body of a single article
+   * @param {string} url - Article URL
+   * @param {Object} [limits] - Overrides for timeout, maxBytes and maxChars
+   * @returns {Promise<string>} Body text ('' if nothing usable was found)
+   */
+  async extract(url, limits = {}) {
+    const resolved = {
+      timeout: limits.timeout || this.timeout,
+      maxBytes: limits.maxBytes || this.maxBytes,
+      maxChars: limits.maxChars || this.maxChars
+    };
+
+    const html = await this._loadHtml(url, resolved);
+    return html ? this.extractText(html, resolved.maxChars) : '';
+  }
+
+  /**
+   * Add a `body` field to each article, fetching a bounded number at a time
+   * Failures are logged and leave the article without a body
+   * @param {Array} articles - Articles with a link
+   * @param {Object} [limits] - Overrides for concurrency, timeout, maxBytes and maxChars
+   * @returns {Promise<Array>} The same articles
+   */
+  async enrich(articles, limits = {}) {
+    const concurrency = Math.max(1, limits.concurrency || this.concurrency);
+    let next = 0;
+    let extracted = 0;
+
+    const worker = async () => {
+      while (next < articles.length) {
+        const article = articles[next++];
+        if (!article.link || article.body) continue;
+
+        try {
+          const body = await this.extract(article.link, limits);
+          if (body) {
+            article.body = body;
+            extracted++;
+          }
+        } catch (error) {
+          console.error(`Body extraction failed for ${article.link}:`, error.message);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, articles.length) }, worker));
+    console.log(`Extracted body text for ${extracted}/${articles.length} articles`);
+    return articles;
+  }
+}
+
+module.exports = ArticleBodyExtractor;
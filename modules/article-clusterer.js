@@ -0,0 +1,120 @@
+/**
+ * Article Clusterer Module
+ * Folds syndicated copies of the same story into a single article
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'with',
+  'as', 'is', 'are', 'its', 'it', 'from', 'after', 'says', 'said'
+]);
+
+class ArticleClusterer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold=0.5] - Minimum Jaccard similarity of headline shingles
+   * @param {number} [options.shingleSize=2] - Words per shingle
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+    this.shingleSize = options.shingleSize || 2;
+  }
+
+  /**
+   * Normalize a headline into comparable tokens
+   * Drops trailing " - Publisher" suffixes added by aggregators
+   * @param {string} title - Headline
+   * @returns {string[]}
+   */
+  tokenize(title) {
+    return (title || '')
+      .replace(/\s+[-|–]\s+[^-|–]{2,40}$/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9$%.\s]/g, ' ')
+      .replace(/\.(?=\s|$)/g, ' ')
+      .split(/\s+/)
+      .filter(token => token && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Build the shingle set for a headline
+   * @param {string} title - Headline
+   * @returns {Set<string>}
+   */
+  shingles(title) {
+    const tokens = this.tokenize(title);
+    const size = Math.min(this.shingleSize, tokens.length);
+    const result = new Set();
+
+    for (let i = 0; i + size <= tokens.length && size > 0; i++) {
+      result.add(tokens.slice(i, i + size).join(' '));
+    }
+
+    return result;
+  }
+
+  /**
+   * Jaccard similarity between two shingle sets
+   * @param {Set<string>} a
+   * @param {Set<string>} b
+   * @returns {number} 0..1
+   */
+  similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let intersection = 0;
+    for (const shingle of a) {
+      if (b.has(shingle)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  /**
+   * Cluster near-duplicate articles
+   * The first article of each cluster (in input order) is kept and gains
+   * `alternateLinks` and `duplicateCount` (number of copies folded into it)
+   * @param {Array} articles - Articles in priority order
+   * @returns {Array} One article per story
+   */
+  cluster(articles) {
+    const shingleSets = articles.map(article => this.shingles(article.title));
+    const parent = articles.map((article, i) => i);
+
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    for (let i = 0; i < articles.length; i++) {
+      for (let j = i + 1; j < articles.length; j++) {
+        if (this.similarity(shingleSets[i], shingleSets[j]) >= this.threshold) {
+          const rootI = find(i);
+          const rootJ = find(j);
+          // Keep the earliest index as the cluster representative
+          if (rootI !== rootJ) parent[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    articles.forEach((article, i) => {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(article);
+    });
+
+    return Array.from(clusters.values()).map(([primary, ...copies]) => ({
+      ...primary,
+      alternateLinks: copies.map(copy => ({
+        title: copy.title,
+        link: copy.link,
+        source: copy.source
+      })),
+      duplicateCount: copies.length
+    }));
+  }
+}
+
+module.exports = ArticleClusterer;
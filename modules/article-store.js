@@ -0,0 +1,332 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Article Store Module
+ * Append-only JSON-lines store for fetched articles, sentiment results, analysis runs and analyst feedback
+ */
+
+/**
+ * Default data directory: TRADING_ASSISTANT_DATA_DIR (set by the Electron app
+ * to its userData folder) or ~/.trading-assistant
+ * @returns {string}
+ */
+function getDefaultDataDir() {
+  return process.env.TRADING_ASSISTANT_DATA_DIR || path.join(os.homedir(), '.trading-assistant');
+}
+
+class ArticleStore {
+  /**
+   * @param {string} [dataDir] - Folder holding the .jsonl files
+   */
+  constructor(dataDir = getDefaultDataDir()) {
+    this.dataDir = dataDir;
+    this.files = {
+      articles: path.join(dataDir, 'articles.jsonl'),
+      sentiment: path.join(dataDir, 'sentiment.jsonl'),
+      runs: path.join(dataDir, 'runs.jsonl'),
+      feedback: path.join(dataDir, 'feedback.jsonl')
+    };
+    this.articles = [];
+    this.sentiment = [];
+    this.runs = [];
+    this.feedback = [];
+    this.articleKeys = new Set();
+    this.writeQueue = Promise.resolve();
+    this.loading = null;
+  }
+
+  /**
+   * Create the data directory and load existing records into memory
+   * Safe to call repeatedly; the files are only read once
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this._load();
+    }
+    return this.loading;
+  }
+
+  async _load() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+    this.articles = await this._readLines(this.files.articles);
+    this.sentiment = await this._readLines(this.files.sentiment);
+    this.runs = await this._readLines(this.files.runs);
+    this.feedback = await this._readLines(this.files.feedback);
+    this.articleKeys = new Set(this.articles.map(a => this._articleKey(a.ticker, a.link)));
+
+    console.log(`🗄️  Loaded store from ${this.dataDir} (${this.articles.length} articles, ${this.runs.length} runs)`);
+  }
+
+  async _readLines(file) {
+    if (!fs.existsSync(file)) return [];
+
+    const content = await fs.promises.readFile(file, 'utf8');
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a partially written last line
+        console.warn(`Skipping corrupt line in ${path.basename(file)}`);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Append records to a file, serialized so lines never interleave
+   * @param {string} file - Target .jsonl file
+   * @param {Array<Object>} records - Records to append
+   * @returns {Promise<void>}
+   */
+  _append(file, records) {
+    if (records.length === 0) return this.writeQueue;
+
+    const data = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(file, data, 'utf8'))
+      .catch(error => console.error(`Error writing ${path.basename(file)}:`, error.message));
+    return this.writeQueue;
+  }
+
+  _articleKey(ticker, link) {
+    return `${ticker}|${link}`;
+  }
+
+  /**
+   * Save articles not seen before for this ticker (deduped by link)
+   * @param {string} ticker - Ticker symbol
+   * @param {Array} articles - Articles from fetchYahooNews
+   * @returns {Promise<number>} Number of new articles stored
+   */
+  async saveArticles(ticker, articles) {
+    await this.load();
+    const now = new Date().toISOString();
+    const fresh = [];
+
+    for (const article of articles) {
+      const key = this._articleKey(ticker, article.link);
+      if (!article.link || this.articleKeys.has(key)) continue;
+
+      this.articleKeys.add(key);
+      fresh.push({
+        ticker,
+        link: article.link,
+        title: article.title,
+        description: article.description || '',
+        source: article.source || null,
+        publishedAt: article.publishedAt || null,
+        duplicateCount: article.duplicateCount || 0,
+        firstSeen: now
+      });
+    }
+
+    this.articles.push(...fresh);
+    await this._append(this.files.articles, fresh);
+    return fresh.length;
+  }
+
+  /**
+   * Save a sentiment result for a ticker
+   * Per-article scores are kept as link/label/confidence only
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} result - Result of SentimentAnalyzer.analyzeArticles
+   * @returns {Promise<void>}
+   */
+  async saveSentiment(ticker, result) {
+    if (!result || result.error) return;
+    await this.load();
+
+    const { articles, ...aggregate } = result;
+    const record = {
+      ticker,
+      timestamp: new Date().toISOString(),
+      ...aggregate,
+      articles: (articles || []).map(a => ({ link: a.link, sentiment: a.sentiment, confidence: a.confidence }))
+    };
+    this.sentiment.push(record);
+    await this._append(this.files.sentiment, [record]);
+  }
+
+  /**
+   * Record an /api/analyze run
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} details - articleCount, newArticles, cached, ...
+   * @returns {Promise<void>}
+   */
+  async recordRun(ticker, details = {}) {
+    await this.load();
+    const record = {
+      ticker,
+      timestamp: new Date().toISOString(),
+      ...details
+    };
+    this.runs.push(record);
+    await this._append(this.files.runs, [record]);
+  }
+
+  /**
+   * Save an analyst's verdict on a sentiment label
+   * @param {Object} feedback - ticker, scope ('article' or 'aggregate'), link, text, predicted, label
+   * @returns {Promise<Object>} The stored record
+   */
+  async saveFeedback(feedback) {
+    await this.load();
+    const record = {
+      ticker: feedback.ticker,
+      scope: feedback.scope,
+      link: feedback.link || null,
+      text: feedback.text || null,
+      predicted: feedback.predicted,
+      label: feedback.label,
+      timestamp: new Date().toISOString()
+    };
+    this.feedback.push(record);
+    await this._append(this.files.feedback, [record]);
+    return record;
+  }
+
+  /**
+   * Current feedback, oldest first
+   * A later verdict on the same article (or the same ticker's aggregate) replaces the earlier one
+   * @returns {Array}
+   */
+  getFeedback() {
+    const latest = new Map();
+    for (const record of this.feedback) {
+      const key = `${record.ticker}|${record.scope}|${record.link || ''}`;
+      latest.delete(key);
+      latest.set(key, record);
+    }
+    return Array.from(latest.values());
+  }
+
+  /**
+   * Feedback dataset size and how often analysts agreed with the model
+   * @returns {Object} { total, trainable, agreementRate, byScope, corrections }
+   */
+  getFeedbackStats() {
+    const feedback = this.getFeedback();
+    const rate = records => (
+      records.length
+        ? Math.round((records.filter(r => r.predicted === r.label).length / records.length) * 10000) / 10000
+        : null
+    );
+
+    const byScope = {};
+    for (const scope of ['article', 'aggregate']) {
+      const records = feedback.filter(r => r.scope === scope);
+      byScope[scope] = { total: records.length, agreementRate: rate(records) };
+    }
+
+    // predicted -> corrected label counts, e.g. { 'neutral->negative': 4 }
+    const corrections = {};
+    feedback.filter(r => r.predicted !== r.label).forEach(r => {
+      const key = `${r.predicted}->${r.label}`;
+      corrections[key] = (corrections[key] || 0) + 1;
+    });
+
+    return {
+      total: feedback.length,
+      trainable: feedback.filter(r => r.scope === 'article' && r.text).length,
+      agreementRate: rate(feedback),
+      byScope,
+      corrections
+    };
+  }
+
+  _inRange(timestamp, since, until) {
+    const time = new Date(timestamp).getTime();
+    return (!since || time >= since.getTime()) && (!until || time <= until.getTime());
+  }
+
+  /**
+   * Stored articles for a ticker, most recently seen first
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} [range] - since/until Dates (matched on firstSeen)
+   * @returns {Array}
+   */
+  getArticles(ticker, { since, until } = {}) {
+    return this.articles
+      .filter(a => a.ticker === ticker && this._inRange(a.firstSeen, since, until))
+      .reverse();
+  }
+
+  /**
+   * Stored sentiment results for a ticker, oldest first
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} [range] - since/until Dates
+   * @returns {Array}
+   */
+  getSentiment(ticker, { since, until } = {}) {
+    return this.sentiment.filter(s => s.ticker === ticker && this._inRange(s.timestamp, since, until));
+  }
+
+  /**
+   * Sentiment time series for a ticker, averaged into hour or day buckets
+   * Each bucket's label is the class with the highest mean probability, passed through `abstain`
+   * so buckets are labeled the way live results are
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} [options]
+   * @param {string} [options.bucket='hour'] - 'hour' or 'day'
+   * @param {Date} [options.since] - Start of the window
+   * @param {Date} [options.until] - End of the window
+   * @param {Function} [options.abstain] - Relabels a low-confidence bucket (SentimentAnalyzer#abstain)
+   * @returns {Array<Object>} Buckets, oldest first
+   */
+  getSentimentSeries(ticker, { bucket = 'hour', since, until, abstain = point => point } = {}) {
+    const bucketMs = bucket === 'day' ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+    const buckets = new Map();
+
+    for (const record of this.getSentiment(ticker, { since, until })) {
+      const start = Math.floor(new Date(record.timestamp).getTime() / bucketMs) * bucketMs;
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(record);
+    }
+
+    const mean = (records, field) => {
+      const total = records.reduce((sum, r) => sum + (Number(r[field]) || 0), 0);
+      return Math.round((total / records.length) * 10000) / 10000;
+    };
+
+    return Array.from(buckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([start, records]) => {
+        const probabilities = {
+          negative: mean(records, 'probability_negative'),
+          neutral: mean(records, 'probability_neutral'),
+          positive: mean(records, 'probability_positive')
+        };
+        const sentiment = Object.keys(probabilities)
+          .reduce((best, label) => (probabilities[label] > probabilities[best] ? label : best), 'neutral');
+
+        return abstain({
+          time: new Date(start).toISOString(),
+          sentiment,
+          confidence: mean(records, 'confidence'),
+          probability_negative: probabilities.negative,
+          probability_neutral: probabilities.neutral,
+          probability_positive: probabilities.positive,
+          samples: records.length
+        });
+      });
+  }
+
+  /**
+   * Recorded runs for a ticker, oldest first
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} [range] - since/until Dates
+   * @returns {Array}
+   */
+  getRuns(ticker, { since, until } = {}) {
+    return this.runs.filter(r => r.ticker === ticker && this._inRange(r.timestamp, since, until));
+  }
+}
+
+module.exports = ArticleStore;
+module.exports.getDefaultDataDir = getDefaultDataDir;
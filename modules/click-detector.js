@@ -1,6 +1,7 @@
 const { exec } = require('child_process');
 const { clipboard } = require('electron');
 const TextExtractor = require('./text-extractor');
+const SymbolDirectory = require('./symbol-directory');
 
 /**
  * Click Detector Module
@@ -8,13 +9,21 @@ const TextExtractor = require('./text-extractor');
  */
 
 class ClickDetector {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {SymbolDirectory} [options.symbols] - Listings used to validate tickers
+   * @param {number} [options.minConfidence=0.5] - Ignore text whose best ticker candidate scores below this
+   */
+  constructor(options = {}) {
+    this.symbols = options.symbols || new SymbolDirectory();
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.5;
     this.isMonitoring = false;
     this.clickHandler = null;
     this.lastClickTime = 0;
     this.debounceDelay = 1000; // ms - increased to prevent loops
     this.onTickerDetected = null;
-    this.textExtractor = new TextExtractor();
+    this.onCandidatesDetected = null;
+    this.textExtractor = new TextExtractor({ symbols: this.symbols });
     this.lastProcessedTicker = '';
     this.isExtracting = false; // Prevent concurrent extractions
   }
@@ -39,6 +48,15 @@ class ClickDetector {
     this._startMacOSClickDetection();
   }
 
+  /**
+   * Set callback for text that mentions several tickers
+   * Without one, only the most likely ticker is passed to the detection callback
+   * @param {Function} callback - Called with (candidates, text), candidates most likely first
+   */
+  setCandidatesCallback(callback) {
+    this.onCandidatesDetected = callback;
+  }
+
   /**
    * Stop monitoring for mouse clicks
    */
@@ -140,18 +158,28 @@ class ClickDetector {
       return;
     }
     
-    // Extract potential ticker symbols from text
-    const tickers = this.textExtractor.extractTickers(text);
+    // Score the ticker candidates in the text, most likely first
+    const candidates = this.textExtractor.extractTickerCandidates(text)
+      .filter(candidate => candidate.confidence >= this.minConfidence);
     
-    if (tickers && tickers.length > 0) {
-      // Use the first valid ticker found
-      const ticker = tickers[0];
+    if (candidates.length > 1 && this.onCandidatesDetected) {
+      // Several tickers: hand them all over once per distinct set
+      const key = candidates.map(candidate => candidate.symbol).join(',');
+      if (key !== this.lastProcessedTicker) {
+        this.lastClickTime = now;
+        this.lastProcessedTicker = key;
+        console.log(`🖱️ Detected tickers: ${key}`);
+        this.onCandidatesDetected(candidates, text);
+      }
+    } else if (candidates.length > 0) {
+      const [best] = candidates;
+      const ticker = best.symbol;
       
       // Only process if it's different from the last one
       if (ticker !== this.lastProcessedTicker) {
         this.lastClickTime = now;
         this.lastProcessedTicker = ticker;
-        console.log(`🖱️ Detected ticker: ${ticker}`);
+        console.log(`🖱️ Detected ticker: ${ticker} (${best.source}, confidence ${best.confidence})`);
         this.onTickerDetected(ticker);
       }
     }
@@ -163,15 +191,7 @@ class ClickDetector {
    * @returns {boolean}
    */
   _isValidTicker(text) {
-    if (!text) return false;
-    
-    const cleaned = text.trim().toUpperCase();
-    
-    // Ticker pattern: 1-5 uppercase letters/numbers, optionally with dots
-    const tickerPattern = /^[A-Z0-9]{1,5}(\.[A-Z])?$/;
-    const simplePattern = /^[A-Z]{1,5}$/;
-    
-    return tickerPattern.test(cleaned) || simplePattern.test(cleaned);
+    return this.symbols.isValid(text);
   }
 
   /**
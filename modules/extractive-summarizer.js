@@ -0,0 +1,161 @@
+/**
+ * Extractive Summarizer Module
+ * Offline TextRank summary over sentences from article titles, descriptions and bodies
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'with', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'its', 'it', 'this', 'that', 'from', 'has',
+  'have', 'had', 'will', 'would', 'could', 'or', 'but', 'not', 'after', 'over', 'than',
+  'says', 'said', 'new', 'more', 'about', 'into', 'their', 'they', 'he', 'she', 'we', 'you'
+]);
+
+class ExtractiveSummarizer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSentences=3] - Sentences in the summary
+   * @param {number} [options.maxArticles=10] - Articles read for candidate sentences
+   * @param {number} [options.damping=0.85] - PageRank damping factor
+   * @param {number} [options.iterations=30] - PageRank iterations
+   * @param {number} [options.redundancy=0.5] - Skip sentences this similar to one already picked
+   */
+  constructor(options = {}) {
+    this.maxSentences = options.maxSentences || 3;
+    this.maxArticles = options.maxArticles || 10;
+    this.damping = options.damping || 0.85;
+    this.iterations = options.iterations || 30;
+    this.redundancy = options.redundancy || 0.5;
+  }
+
+  /**
+   * Split text into sentences
+   * @param {string} text
+   * @returns {string[]}
+   */
+  splitSentences(text) {
+    return (text || '')
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?])\s+(?=[A-Z"'])/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.split(' ').length >= 4);
+  }
+
+  _words(sentence) {
+    return sentence
+      .toLowerCase()
+      .replace(/[^a-z0-9$%\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  }
+
+  /**
+   * TextRank similarity: shared words normalized by sentence lengths
+   * @param {string[]} a - Words of the first sentence
+   * @param {string[]} b - Words of the second sentence
+   * @returns {number}
+   */
+  _similarity(a, b) {
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const setB = new Set(b);
+    const shared = new Set(a.filter(word => setB.has(word))).size;
+    return shared / (Math.log(a.length) + Math.log(b.length));
+  }
+
+  /**
+   * Candidate sentences, each headline and body/description sentence once
+   * @param {Array} articles
+   * @returns {Array<Object>} { text, articleIndex, position }
+   */
+  _candidates(articles) {
+    const seen = new Set();
+    const candidates = [];
+
+    articles.slice(0, this.maxArticles).forEach((article, articleIndex) => {
+      const title = (article.title || '').trim();
+      const texts = [
+        /[.!?]$/.test(title) ? title : `${title}.`,
+        ...this.splitSentences(article.body || article.description || '')
+      ];
+
+      texts.forEach((text, position) => {
+        const key = text.toLowerCase();
+        if (text.length > 1 && !seen.has(key)) {
+          seen.add(key);
+          candidates.push({ text, articleIndex, position });
+        }
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Rank candidate sentences with TextRank
+   * @param {Array} articles - Articles with title and optional description/body
+   * @returns {Array<Object>} Candidates with a score, best first
+   */
+  rank(articles) {
+    const candidates = this._candidates(articles);
+    const words = candidates.map(c => this._words(c.text));
+    const n = candidates.length;
+
+    const weights = Array.from({ length: n }, () => new Array(n).fill(0));
+    const outTotals = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const weight = this._similarity(words[i], words[j]);
+        weights[i][j] = weight;
+        weights[j][i] = weight;
+        outTotals[i] += weight;
+        outTotals[j] += weight;
+      }
+    }
+
+    let scores = new Array(n).fill(1);
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      scores = scores.map((score, i) => {
+        let incoming = 0;
+        for (let j = 0; j < n; j++) {
+          if (weights[j][i] > 0 && outTotals[j] > 0) {
+            incoming += (weights[j][i] / outTotals[j]) * scores[j];
+          }
+        }
+        return (1 - this.damping) + this.damping * incoming;
+      });
+    }
+
+    return candidates
+      .map((candidate, i) => ({ ...candidate, words: words[i], score: scores[i] }))
+      .sort((a, b) => b.score - a.score || a.articleIndex - b.articleIndex);
+  }
+
+  /**
+   * Summarize articles into a short multi-sentence digest
+   * Picked sentences are ordered by article recency, then position in the article
+   * @param {Array} articles - Articles, most recent first
+   * @returns {string} Summary ('' if there's nothing to summarize)
+   */
+  summarize(articles) {
+    if (!articles || articles.length === 0) return '';
+
+    const picked = [];
+    for (const candidate of this.rank(articles)) {
+      if (picked.length >= this.maxSentences) break;
+
+      const redundant = picked.some(p => {
+        const shared = new Set(p.words.filter(word => candidate.words.includes(word))).size;
+        const union = new Set([...p.words, ...candidate.words]).size;
+        return union > 0 && shared / union >= this.redundancy;
+      });
+      if (!redundant) picked.push(candidate);
+    }
+
+    return picked
+      .sort((a, b) => a.articleIndex - b.articleIndex || a.position - b.position)
+      .map(p => p.text)
+      .join(' ');
+  }
+}
+
+module.exports = ExtractiveSummarizer;
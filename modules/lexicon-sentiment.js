@@ -0,0 +1,308 @@
+const fs = require('fs');
+
+/**
+ * Lexicon Sentiment Module
+ * In-process finance sentiment scoring from a word lexicon, with negation and intensifier handling
+ */
+
+const LABELS = ['negative', 'neutral', 'positive'];
+
+// Word scores from -3 (strongly negative) to 3 (strongly positive), finance sense
+const FINANCE_LEXICON = {
+  // Positive
+  beat: 2, beats: 2, outperform: 2, outperformed: 2, outperforms: 2, upgrade: 2, upgraded: 2,
+  upgrades: 2, surge: 2.5, surged: 2.5, surges: 2.5, soar: 2.5, soared: 2.5, soars: 2.5,
+  jump: 2, jumped: 2, jumps: 2, rally: 2, rallied: 2, rallies: 2, gain: 1.5, gained: 1.5,
+  gains: 1.5, rise: 1.5, rose: 1.5, rises: 1.5, rising: 1.5, increase: 1.5, increased: 1.5,
+  increases: 1.5, grew: 1.5, grow: 1.5, grows: 1.5, growth: 1.5, improve: 1.5, improved: 1.5,
+  improves: 1.5, improvement: 1.5, profit: 1, profitable: 2, profitability: 1, record: 1,
+  strong: 1.5, stronger: 1.5, strength: 1, robust: 1.5, boost: 1.5, boosted: 1.5, boosts: 1.5,
+  expand: 1, expanded: 1, expansion: 1, win: 1.5, wins: 1.5, won: 1.5, award: 1.5, awarded: 1.5,
+  bullish: 2, optimistic: 1.5, upbeat: 1.5, positive: 1.5, success: 1.5, successful: 1.5,
+  exceed: 2, exceeded: 2, exceeds: 2, higher: 1, doubled: 2, recovery: 1, recover: 1,
+  recovered: 1, dividend: 0.5, buyback: 1, approval: 1.5, approved: 1.5, breakthrough: 2,
+  advance: 1, advanced: 1, climb: 1.5, climbed: 1.5, climbs: 1.5, up: 0.5, top: 0.5,
+  // Negative
+  miss: -2, missed: -2, misses: -2, downgrade: -2, downgraded: -2, downgrades: -2,
+  plunge: -2.5, plunged: -2.5, plunges: -2.5, plummet: -2.5, plummeted: -2.5, crash: -3,
+  crashed: -3, tumble: -2, tumbled: -2, tumbles: -2, slump: -2, slumped: -2, slumps: -2,
+  drop: -1.5, dropped: -1.5, drops: -1.5, fall: -1.5, fell: -1.5, falls: -1.5, falling: -1.5,
+  decline: -1.5, declined: -1.5, declines: -1.5, decrease: -1.5, decreased: -1.5,
+  decreases: -1.5, lower: -1, weak: -1.5, weaker: -1.5, weakness: -1.5, loss: -1.5,
+  losses: -1.5, lose: -1.5, lost: -1.5, deficit: -1.5, debt: -0.5, layoff: -2, layoffs: -2,
+  cut: -1, cuts: -1, warning: -2, warns: -2, warned: -2, lawsuit: -2, sued: -2, fine: -1,
+  fined: -2, probe: -1.5, investigation: -1.5, fraud: -3, bankruptcy: -3, bankrupt: -3,
+  default: -2, recall: -1.5, bearish: -2, pessimistic: -1.5, negative: -1.5, concern: -1,
+  concerns: -1, risk: -0.5, risks: -0.5, volatile: -1, uncertainty: -1, delay: -1,
+  delayed: -1, halt: -1.5, halted: -1.5, shortfall: -2, underperform: -2, underperformed: -2,
+  sell: -0.5, selloff: -2, slowdown: -1.5, slow: -1, slower: -1, down: -0.5, worst: -2,
+  worse: -1.5, struggle: -1.5, struggles: -1.5, antitrust: -1, penalty: -2, dismissed: -1,
+  narrowed: -1, reduced: -1
+};
+
+// Negative nouns whose "decrease" is good news: a narrowed loss is positive
+const COST_WORDS = new Set(['loss', 'losses', 'deficit', 'debt', 'costs', 'cost', 'expenses', 'layoffs']);
+const DECREASE_WORDS = new Set([
+  'decrease', 'decreased', 'decreases', 'narrowed', 'narrow', 'cut', 'cuts', 'reduced',
+  'reduce', 'fell', 'fall', 'falls', 'drop', 'dropped', 'declined', 'lower', 'down'
+]);
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'neither', 'nor', 'hardly', 'barely', 'cannot', "n't",
+  'fails', 'failed'
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, sharply: 1.5, significantly: 1.4, strongly: 1.4, substantially: 1.4,
+  dramatically: 1.6, extremely: 1.6, highly: 1.3, more: 1.2, most: 1.3,
+  slightly: 0.6, marginally: 0.6, somewhat: 0.7, modestly: 0.7, partly: 0.7
+};
+
+function intensifier(token) {
+  return Object.prototype.hasOwnProperty.call(INTENSIFIERS, token) ? INTENSIFIERS[token] : undefined;
+}
+
+/**
+ * Reliability diagram data: mean confidence vs. observed accuracy per confidence bin,
+ * with the expected calibration error and multi-class Brier score
+ * @param {Array<Object>} results - { label, prediction } with prediction from predict()
+ * @param {number} [bins=10]
+ * @returns {Object} { bins: [{ lower, upper, count, confidence?, accuracy? }], ece, brier }
+ */
+function reliabilityCurve(results, bins = 10) {
+  const round = value => Math.round(value * 10000) / 10000;
+  const curve = Array.from({ length: bins }, (_, b) => ({
+    lower: round(b / bins), upper: round((b + 1) / bins), count: 0, confidenceSum: 0, correct: 0
+  }));
+  let brier = 0;
+
+  for (const { label, prediction } of results) {
+    const bin = curve[Math.min(bins - 1, Math.floor(prediction.confidence * bins))];
+    bin.count++;
+    bin.confidenceSum += prediction.confidence;
+    if (prediction.sentiment === label) bin.correct++;
+    for (const other of LABELS) {
+      brier += Math.pow(prediction[`probability_${other}`] - (other === label ? 1 : 0), 2);
+    }
+  }
+
+  let ece = 0;
+  const total = results.length || 1;
+  return {
+    bins: curve.map(({ lower, upper, count, confidenceSum, correct }) => {
+      if (count === 0) return { lower, upper, count };
+      ece += (count / total) * Math.abs(correct / count - confidenceSum / count);
+      return { lower, upper, count, confidence: round(confidenceSum / count), accuracy: round(correct / count) };
+    }),
+    ece: round(ece),
+    brier: round(brier / total)
+  };
+}
+
+/**
+ * Parse one `sentence@label` line
+ * @param {string} line
+ * @returns {Object|null} { text, label }, or null if the line isn't labeled data
+ */
+function parseLabeledLine(line) {
+  const at = line.lastIndexOf('@');
+  if (at === -1) return null;
+  const text = line.slice(0, at).trim();
+  const label = line.slice(at + 1).trim().toLowerCase();
+  return text && LABELS.includes(label) ? { text, label } : null;
+}
+
+/**
+ * Read `sentence@label` lines, like Sentences_75Agree.txt
+ * @param {string} filePath - Path to the labeled data
+ * @returns {Array<Object>} { text, label }
+ */
+function loadLabeledSentences(filePath) {
+  return fs.readFileSync(filePath, 'latin1')
+    .split(/\r?\n/)
+    .map(parseLabeledLine)
+    .filter(Boolean);
+}
+
+class LexiconSentiment {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.lexicon] - Extra or overriding word scores
+   * @param {number} [options.negationWindow=3] - Words after a negator that get flipped
+   * @param {number} [options.scale=2] - Evidence needed for a confident label; higher is more cautious
+   */
+  constructor(options = {}) {
+    this.lexicon = { ...FINANCE_LEXICON, ...options.lexicon };
+    this.negationWindow = options.negationWindow || 3;
+    this.scale = options.scale || 2;
+  }
+
+  /**
+   * Split text into lowercase word tokens, keeping "n't" as its own token
+   * @param {string} text
+   * @returns {string[]}
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/n't\b/g, " n't")
+      .replace(/[^a-z0-9'\s-]/g, ' ')
+      .split(/[\s-]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the lexicon terms in a text and their adjusted scores
+   * @param {string} text
+   * @returns {Array<Object>} { term, score, negated }
+   */
+  explain(text) {
+    const tokens = this.tokenize(text);
+    const matches = [];
+    let negatedUntil = -1;
+
+    tokens.forEach((token, i) => {
+      if (NEGATORS.has(token)) {
+        negatedUntil = i + this.negationWindow;
+        return;
+      }
+
+      // Own properties only: "constructor" is a word too
+      if (!Object.prototype.hasOwnProperty.call(this.lexicon, token)) return;
+      let score = this.lexicon[token];
+
+      // "loss narrowed", "cut costs": a decrease next to a cost word reads as good news
+      const nearby = tokens.slice(Math.max(0, i - 3), i + 4);
+      if (COST_WORDS.has(token) && nearby.some(word => DECREASE_WORDS.has(word))) return;
+      if (DECREASE_WORDS.has(token) && nearby.some(word => COST_WORDS.has(word))) score = Math.abs(score);
+
+      // "sharply higher" and "fell sharply" both count
+      const intensity = intensifier(tokens[i - 1]) || intensifier(tokens[i + 1]);
+      if (intensity) score *= intensity;
+
+      const negated = i <= negatedUntil;
+      if (negated) score *= -0.75;
+
+      matches.push({ term: token, score: Math.round(score * 100) / 100, negated });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Score one text
+   * @param {string} text
+   * @returns {Object} { sentiment, confidence, probability_negative, probability_neutral, probability_positive, terms }
+   */
+  predict(text) {
+    const matches = this.explain(text);
+    let positive = 0;
+    let negative = 0;
+    for (const { score } of matches) {
+      if (score > 0) positive += score;
+      else negative -= score;
+    }
+
+    // How much evidence there is decides neutral vs. polar; the balance splits the polar share
+    const evidence = positive + negative;
+    const strength = 1 - Math.exp(-evidence / this.scale);
+    const balance = evidence > 0 ? (positive - negative) / evidence : 0;
+    const probabilities = {
+      negative: strength * (1 - balance) / 2,
+      neutral: 1 - strength,
+      positive: strength * (1 + balance) / 2
+    };
+
+    // Keep a little mass on every class; a word list is never fully certain
+    for (const label of LABELS) {
+      probabilities[label] = 0.9 * probabilities[label] + 0.1 / LABELS.length;
+    }
+
+    const sentiment = LABELS.reduce((best, label) => (
+      probabilities[label] > probabilities[best] ? label : best
+    ), 'neutral');
+
+    return {
+      sentiment,
+      confidence: Math.round(probabilities[sentiment] * 10000) / 10000,
+      probability_negative: Math.round(probabilities.negative * 10000) / 10000,
+      probability_neutral: Math.round(probabilities.neutral * 10000) / 10000,
+      probability_positive: Math.round(probabilities.positive * 10000) / 10000,
+      terms: this._terms(matches, sentiment)
+    };
+  }
+
+  /**
+   * Matched words as { term, weight }, strongest first
+   * Positive weights pushed toward the predicted label, negative ones against it;
+   * for a neutral call every polar word counts against
+   * @param {Array<Object>} matches - From explain()
+   * @param {string} sentiment - Predicted label
+   * @param {number} [top=5] - Terms to keep
+   * @returns {Array<Object>}
+   */
+  _terms(matches, sentiment, top = 5) {
+    const direction = { positive: 1, negative: -1 };
+    // A word used twice is listed once, with its combined weight
+    const weights = new Map();
+    for (const { term, score } of matches) {
+      const weight = direction[sentiment] ? direction[sentiment] * score : -Math.abs(score);
+      weights.set(term, Math.round(((weights.get(term) || 0) + weight) * 100) / 100);
+    }
+    return Array.from(weights, ([term, weight]) => ({ term, weight }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+      .slice(0, top);
+  }
+
+  /**
+   * Accuracy, macro-averaged and per-class precision/recall/F1, a confusion matrix and a
+   * reliability curve on labeled sentences
+   * The lexicon isn't trained, so there is no cross-validation or calibration; every sample is scored once
+   * @param {Array<Object>} samples - { text, label }
+   * @returns {Object} { accuracy, precision, recall, f1_score, samples, per_class, confusion_matrix, calibration }
+   */
+  evaluate(samples) {
+    // Rows are actual labels, columns predicted labels
+    const matrix = LABELS.map(() => LABELS.map(() => 0));
+    const results = samples.map(({ text, label }) => ({ label, prediction: this.predict(text) }));
+    for (const { label, prediction } of results) {
+      matrix[LABELS.indexOf(label)][LABELS.indexOf(prediction.sentiment)]++;
+    }
+
+    const round = value => Math.round(value * 10000) / 10000;
+    const perClass = {};
+    LABELS.forEach((label, i) => {
+      const tp = matrix[i][i];
+      const support = matrix[i].reduce((sum, n) => sum + n, 0);
+      const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+      const p = predictedCount > 0 ? tp / predictedCount : 0;
+      const r = support > 0 ? tp / support : 0;
+      perClass[label] = {
+        precision: round(p),
+        recall: round(r),
+        f1_score: round(p + r > 0 ? (2 * p * r) / (p + r) : 0),
+        support
+      };
+    });
+
+    const macro = field => round(LABELS.reduce((sum, label) => sum + perClass[label][field], 0) / LABELS.length);
+    const correct = LABELS.reduce((sum, label, i) => sum + matrix[i][i], 0);
+
+    return {
+      accuracy: round(samples.length ? correct / samples.length : 0),
+      precision: macro('precision'),
+      recall: macro('recall'),
+      f1_score: macro('f1_score'),
+      samples: samples.length,
+      per_class: perClass,
+      confusion_matrix: { labels: LABELS, matrix },
+      calibration: { method: null, uncalibrated: reliabilityCurve(results) }
+    };
+  }
+}
+
+module.exports = LexiconSentiment;
+module.exports.loadLabeledSentences = loadLabeledSentences;
+module.exports.parseLabeledLine = parseLabeledLine;
+module.exports.reliabilityCurve = reliabilityCurve;
+module.exports.LABELS = LABELS;
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { getDefaultDataDir } = require('./article-store');
+const { parseLabeledLine, LABELS } = require('./lexicon-sentiment');
+
+/**
+ * Model Registry Module
+ * Saved sentiment model versions, the active version with rollback history, and uploaded training data
+ */
+
+const MODEL_FILES = ['sentiment_model.pkl', 'sentiment_vectorizer.pkl'];
+// Version IDs and dataset names double as file names
+const SAFE_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+class ModelRegistry {
+  /**
+   * @param {string} [dataDir] - App data folder; models live in its `models` subfolder
+   * @param {Object} [options]
+   * @param {string} [options.baselineDir] - Folder with the bundled model, listed as version 'baseline'
+   */
+  constructor(dataDir = getDefaultDataDir(), options = {}) {
+    this.dir = path.join(dataDir, 'models');
+    this.versionsDir = path.join(this.dir, 'versions');
+    this.datasetsDir = path.join(this.dir, 'datasets');
+    this.activeFile = path.join(this.dir, 'active.json');
+    this.baselineDir = options.baselineDir || path.join(__dirname, '..');
+  }
+
+  async _readJson(file, fallback) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  async _writeJson(file, data) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.promises.rename(tmpPath, file);
+  }
+
+  _hasModelFiles(dir) {
+    return MODEL_FILES.every(file => fs.existsSync(path.join(dir, file)));
+  }
+
+  async _baseline() {
+    return {
+      id: 'baseline',
+      builtin: true,
+      path: this.baselineDir,
+      createdAt: null,
+      datasets: [],
+      metrics: await this._readJson(path.join(this.baselineDir, 'sentiment_metrics.json'), null),
+      ready: this._hasModelFiles(this.baselineDir)
+    };
+  }
+
+  /**
+   * Look up one version
+   * @param {string} id - Version ID ('baseline' for the bundled model)
+   * @returns {Promise<Object|null>} { id, path, createdAt, datasets, metrics, ready }
+   */
+  async getVersion(id) {
+    if (id === 'baseline') return this._baseline();
+    if (!SAFE_NAME.test(id || '')) return null;
+
+    const dir = path.join(this.versionsDir, id);
+    const meta = await this._readJson(path.join(dir, 'meta.json'), null);
+    if (!meta) return null;
+
+    return { ...meta, builtin: false, path: dir, ready: this._hasModelFiles(dir) };
+  }
+
+  /**
+   * All versions, newest first, with the bundled baseline last
+   * @returns {Promise<Array>}
+   */
+  async listVersions() {
+    let ids = [];
+    try {
+      ids = await fs.promises.readdir(this.versionsDir);
+    } catch (error) {
+      // No versions trained yet
+    }
+
+    const versions = (await Promise.all(ids.map(id => this.getVersion(id)))).filter(Boolean);
+    versions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    versions.push(await this._baseline());
+    return versions;
+  }
+
+  /**
+   * Reserve a folder for a new version
+   * @returns {Promise<Object>} { id, path }
+   */
+  async createVersion() {
+    const id = `v${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}`;
+    const dir = path.join(this.versionsDir, id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    return { id, path: dir };
+  }
+
+  /**
+   * Record a trained version's details
+   * @param {Object} meta - { id, createdAt, datasets, metrics }
+   * @returns {Promise<void>}
+   */
+  async saveVersion(meta) {
+    await this._writeJson(path.join(this.versionsDir, meta.id, 'meta.json'), meta);
+  }
+
+  /**
+   * Write generated training data (such as analyst feedback) into a version's folder
+   * @param {string} id - Version ID
+   * @param {string} name - File name without extension
+   * @param {Array<Object>} samples - { text, label }
+   * @returns {Promise<string>} Path of the written file
+   */
+  async writeTrainingFile(id, name, samples) {
+    const file = path.join(this.versionsDir, id, `${name}.txt`);
+    const lines = samples.map(({ text, label }) => `${text.replace(/\s+/g, ' ').trim()}@${label}`);
+    await fs.promises.writeFile(file, lines.join('\n') + '\n', 'utf8');
+    return file;
+  }
+
+  /**
+   * Delete a version's folder (used to clean up after failed training)
+   * @param {string} id - Version ID
+   * @returns {Promise<void>}
+   */
+  async removeVersion(id) {
+    if (id === 'baseline' || !SAFE_NAME.test(id)) return;
+    await fs.promises.rm(path.join(this.versionsDir, id), { recursive: true, force: true });
+  }
+
+  /**
+   * The active version ID and the IDs that were active before it
+   * @returns {Promise<Object>} { id, history }
+   */
+  async getActive() {
+    return this._readJson(this.activeFile, { id: 'baseline', history: [] });
+  }
+
+  /**
+   * Make a version active, remembering the current one for rollback
+   * @param {string} id - Version ID
+   * @returns {Promise<Object>} The new active state
+   */
+  async activate(id) {
+    const active = await this.getActive();
+    if (active.id === id) return active;
+
+    const next = { id, history: [...active.history, active.id] };
+    await this._writeJson(this.activeFile, next);
+    return next;
+  }
+
+  /**
+   * Return to the previously active version
+   * @returns {Promise<Object|null>} The new active state, or null if there's nothing to roll back to
+   */
+  async rollback() {
+    const active = await this.getActive();
+    if (active.history.length === 0) return null;
+
+    const next = { id: active.history[active.history.length - 1], history: active.history.slice(0, -1) };
+    await this._writeJson(this.activeFile, next);
+    return next;
+  }
+
+  /**
+   * Path of an uploaded dataset
+   * @param {string} name - Dataset name
+   * @returns {string|null} Null for names that aren't allowed
+   */
+  datasetPath(name) {
+    return SAFE_NAME.test(name || '') ? path.join(this.datasetsDir, `${name}.txt`) : null;
+  }
+
+  _summarize(lines) {
+    const counts = {};
+    LABELS.forEach(label => { counts[label] = 0; });
+    lines.forEach(({ label }) => { counts[label]++; });
+    return { samples: lines.length, counts };
+  }
+
+  /**
+   * Save labeled sentences in `sentence@label` format, one per line
+   * Lines that don't parse are skipped and reported
+   * @param {string} name - Dataset name (letters, digits, - and _)
+   * @param {string} content - File content
+   * @returns {Promise<Object>} { name, samples, counts, skippedLines }
+   */
+  async saveDataset(name, content) {
+    const file = this.datasetPath(name);
+    if (!file) {
+      throw new Error('Dataset name may only contain letters, digits, - and _');
+    }
+
+    const parsed = [];
+    const skippedLines = [];
+    (content || '').split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      const sample = parseLabeledLine(line);
+      if (sample) parsed.push(sample);
+      else skippedLines.push(i + 1);
+    });
+
+    if (parsed.length === 0) {
+      throw new Error('No valid sentence@label lines found');
+    }
+
+    await fs.promises.mkdir(this.datasetsDir, { recursive: true });
+    await fs.promises.writeFile(file, parsed.map(({ text, label }) => `${text}@${label}`).join('\n') + '\n', 'utf8');
+
+    return { name, ...this._summarize(parsed), skippedLines };
+  }
+
+  /**
+   * Uploaded datasets with their label counts
+   * @returns {Promise<Array>} { name, samples, counts, updatedAt }
+   */
+  async listDatasets() {
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(this.datasetsDir)).filter(file => file.endsWith('.txt'));
+    } catch (error) {
+      return [];
+    }
+
+    return Promise.all(files.map(async (file) => {
+      const fullPath = path.join(this.datasetsDir, file);
+      const [content, stat] = await Promise.all([
+        fs.promises.readFile(fullPath, 'utf8'),
+        fs.promises.stat(fullPath)
+      ]);
+      const parsed = content.split('\n').map(parseLabeledLine).filter(Boolean);
+      return { name: path.basename(file, '.txt'), ...this._summarize(parsed), updatedAt: stat.mtime.toISOString() };
+    }));
+  }
+
+  /**
+   * Delete an uploaded dataset
+   * @param {string} name - Dataset name
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async deleteDataset(name) {
+    const file = this.datasetPath(name);
+    if (!file || !fs.existsSync(file)) return false;
+    await fs.promises.unlink(file);
+    return true;
+  }
+}
+
+module.exports = ModelRegistry;
@@ -0,0 +1,497 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const ArticleClusterer = require('./article-clusterer');
+
+/**
+ * News Providers Module
+ * Pluggable news sources that are merged into a single article list
+ */
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Parse an absolute or relative ("2h ago", "1d ago") date string
+ * @param {string} text - Date text from a feed or page
+ * @returns {Date} Parsed date, or now if it can't be parsed
+ */
+function parseArticleDate(text) {
+  if (!text) return new Date();
+
+  const relativeMatch = text.match(/(\d+)\s*(h|hour|d|day|m|min)/i);
+  if (relativeMatch && !/\d{4}/.test(text)) {
+    const value = parseInt(relativeMatch[1]);
+    const unit = relativeMatch[2].toLowerCase();
+    const date = new Date();
+    if (unit === 'h' || unit === 'hour') {
+      date.setHours(date.getHours() - value);
+    } else if (unit === 'd' || unit === 'day') {
+      date.setDate(date.getDate() - value);
+    } else {
+      date.setMinutes(date.getMinutes() - value);
+    }
+    return date;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Build an article object in the shape returned by /api/analyze
+ * @param {Object} fields - title, link, dateText, description
+ * @param {string} source - Name of the provider that found it
+ * @returns {Object}
+ */
+function buildArticle({ title, link, dateText, description }, source) {
+  const dateObj = parseArticleDate(dateText);
+  return {
+    title,
+    link,
+    date: dateText ? dateObj.toLocaleDateString() : 'Recent',
+    publishedAt: dateObj.toISOString(),
+    description: description || '',
+    source
+  };
+}
+
+/**
+ * Substitute {ticker} and {query} placeholders in a URL template
+ * @param {string} template - URL template
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined ? encodeURIComponent(values[key]) : match
+  ));
+}
+
+// Second-level labels that countries register domains under, as in bbc.co.uk or abc.net.au
+const COUNTRY_SECOND_LEVEL = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or']);
+
+/**
+ * Key that requests to a URL are rate limited under: its registrable domain, so
+ * feeds.finance.yahoo.com and finance.yahoo.com share one budget while bbc.co.uk and
+ * ft.co.uk don't. IP addresses and single-label hosts are keyed as they are
+ * @param {string} url
+ * @returns {string}
+ */
+function rateLimitKey(url) {
+  const hostname = new URL(url).hostname;
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return hostname;
+
+  const labels = hostname.split('.');
+  const countryDomain = labels.length > 2
+    && labels[labels.length - 1].length === 2
+    && COUNTRY_SECOND_LEVEL.has(labels[labels.length - 2]);
+  return labels.slice(countryDomain ? -3 : -2).join('.');
+}
+
+/**
+ * Base class for news providers
+ */
+class NewsProvider {
+  /**
+   * @param {Object} options - Provider configuration
+   * @param {string} [options.name] - Display name, also used as article source
+   * @param {boolean} [options.enabled=true] - Whether the provider is used
+   * @param {number} [options.order=100] - Lower runs (and wins ties) first
+   * @param {boolean} [options.fallback=false] - Only run when non-fallback providers found nothing
+   * @param {number} [options.limit=10] - Max articles taken from this provider
+   * @param {number} [options.timeout=5000] - Request timeout in ms
+   * @param {boolean} [options.rateLimited=true] - Send requests through the registry's rate limiter
+   */
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.type;
+    this.enabled = options.enabled !== false;
+    this.order = options.order !== undefined ? options.order : 100;
+    this.fallback = options.fallback === true;
+    this.limit = options.limit || 10;
+    this.timeout = options.timeout || 5000;
+    this.rateLimited = options.rateLimited !== false;
+    // Set by the registry
+    this.rateLimiter = null;
+    this.options = options;
+  }
+
+  /**
+   * GET a URL, waiting for the host's rate limit when the provider has one
+   * @param {string} url
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  _get(url, config) {
+    if (!this.rateLimiter || !this.rateLimited) {
+      return axios.get(url, config);
+    }
+    return this.rateLimiter.schedule(rateLimitKey(url), () => axios.get(url, config));
+  }
+
+  /**
+   * Fetch articles for a ticker
+   * @param {string} ticker - Ticker symbol
+   * @returns {Promise<Array>} Array of article objects
+   */
+  async fetch(ticker) {
+    throw new Error(`${this.name} does not implement fetch()`);
+  }
+}
+
+/**
+ * Generic RSS 2.0 / Atom feed provider
+ * URL may contain a {ticker} placeholder
+ */
+class RssFeedProvider extends NewsProvider {
+  constructor(options = {}) {
+    super(options);
+    if (!options.url) {
+      throw new Error(`Feed provider "${this.name}" requires a url`);
+    }
+    this.url = options.url;
+  }
+
+  _buildUrl(ticker) {
+    return fillTemplate(this.url, { ticker });
+  }
+
+  async fetch(ticker) {
+    const response = await this._get(this._buildUrl(ticker), {
+      headers: {
+        'User-Agent': BROWSER_USER_AGENT,
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml'
+      },
+      timeout: this.timeout
+    });
+
+    return parseFeed(response.data, this.name).slice(0, this.limit);
+  }
+}
+
+/**
+ * Parse RSS <item> and Atom <entry> elements into articles
+ * @param {string} xml - Feed body
+ * @param {string} source - Provider name
+ * @returns {Array}
+ */
+function parseFeed(xml, source) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const articles = [];
+
+  $('item').each((i, item) => {
+    const title = $(item).find('title').first().text().trim();
+    const link = $(item).find('link').first().text().trim();
+    const dateText = $(item).find('pubDate').first().text().trim();
+    const description = $(item).find('description').first().text().trim();
+
+    if (title && link) {
+      articles.push(buildArticle({ title, link, dateText, description }, source));
+    }
+  });
+
+  $('entry').each((i, entry) => {
+    const title = $(entry).find('title').first().text().trim();
+    const linkElem = $(entry).find('link[rel="alternate"]').first();
+    const link = (linkElem.length ? linkElem : $(entry).find('link').first()).attr('href');
+    const dateText = $(entry).find('published').first().text().trim() ||
+      $(entry).find('updated').first().text().trim();
+    const description = $(entry).find('summary').first().text().trim() ||
+      $(entry).find('content').first().text().trim();
+
+    if (title && link) {
+      articles.push(buildArticle({ title, link, dateText, description }, source));
+    }
+  });
+
+  return articles;
+}
+
+/**
+ * Yahoo Finance headline RSS feed
+ */
+class YahooRssProvider extends RssFeedProvider {
+  constructor(options = {}) {
+    super({
+      url: 'https://feeds.finance.yahoo.com/rss/2.0/headline?s={ticker}&region=US&lang=en-US',
+      ...options
+    });
+  }
+}
+
+/**
+ * Google-News-style search feed
+ * URL may contain {query} (built from queryTemplate) and {ticker} placeholders
+ */
+class QueryFeedProvider extends RssFeedProvider {
+  constructor(options = {}) {
+    super({
+      url: 'https://news.google.com/rss/search?q={query}&hl=en-US&gl=US&ceid=US:en',
+      ...options
+    });
+    this.queryTemplate = options.queryTemplate || '{ticker} stock';
+  }
+
+  _buildUrl(ticker) {
+    const query = this.queryTemplate.replace(/\{ticker\}/g, ticker);
+    return fillTemplate(this.url, { ticker, query });
+  }
+}
+
+/**
+ * Scrapes finance.yahoo.com/quote/:ticker/news
+ */
+class YahooScrapeProvider extends NewsProvider {
+  constructor(options = {}) {
+    super(options);
+    // Try multiple selectors as Yahoo Finance structure may vary
+    this.selectors = options.selectors || [
+      'h3 a[data-module="StreamItem"]',
+      'h3 a',
+      'a[data-test-locator="stream-item"]',
+      '.js-stream-content a'
+    ];
+  }
+
+  async fetch(ticker) {
+    const response = await this._get(`https://finance.yahoo.com/quote/${encodeURIComponent(ticker)}/news`, {
+      headers: {
+        'User-Agent': BROWSER_USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      },
+      timeout: this.timeout
+    });
+
+    const $ = cheerio.load(response.data);
+    const articles = [];
+
+    for (const selector of this.selectors) {
+      $(selector).each((i, elem) => {
+        const title = $(elem).text().trim();
+        const link = $(elem).attr('href');
+
+        if (title && link && !articles.find(a => a.title === title)) {
+          const fullLink = link.startsWith('http') ? link : `https://finance.yahoo.com${link}`;
+          const dateElem = $(elem).closest('div').find('time, span[data-test-locator]');
+          const dateText = dateElem.first().text().trim();
+          const article = buildArticle({ title, link: fullLink, dateText }, this.name);
+          // Keep the page's own wording ("2h ago") for display
+          article.date = dateText || 'Recent';
+          articles.push(article);
+        }
+      });
+
+      if (articles.length > 0) break;
+    }
+
+    return articles.slice(0, this.limit);
+  }
+}
+
+/**
+ * Reads articles from local files for offline testing
+ * Looks for <dir>/<TICKER>.json (array of articles) or <dir>/<TICKER>.xml (RSS/Atom)
+ */
+class LocalFileProvider extends NewsProvider {
+  constructor(options = {}) {
+    super(options);
+    this.dir = path.resolve(options.dir || path.join(__dirname, '..', 'fixtures', 'news'));
+  }
+
+  async fetch(ticker) {
+    const jsonPath = path.join(this.dir, `${ticker}.json`);
+    const xmlPath = path.join(this.dir, `${ticker}.xml`);
+
+    if (fs.existsSync(jsonPath)) {
+      const items = JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'));
+      return items
+        .filter(item => item.title && item.link)
+        .map(item => buildArticle({
+          title: item.title,
+          link: item.link,
+          dateText: item.publishedAt || item.date,
+          description: item.description
+        }, this.name))
+        .slice(0, this.limit);
+    }
+
+    if (fs.existsSync(xmlPath)) {
+      const xml = await fs.promises.readFile(xmlPath, 'utf8');
+      return parseFeed(xml, this.name).slice(0, this.limit);
+    }
+
+    return [];
+  }
+}
+
+const DEFAULT_PROVIDERS = [
+  { type: 'yahoo-rss', order: 10 },
+  { type: 'yahoo-scrape', order: 20, fallback: true },
+  { type: 'google-news', order: 30, enabled: false },
+  { type: 'local-file', order: 40, enabled: false }
+];
+
+/**
+ * Registry of provider types and configured provider instances
+ */
+class NewsProviderRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxArticles=10] - Size of the merged list
+   * @param {number} [options.clusterThreshold=0.5] - Headline similarity at which articles are folded together
+   * @param {RateLimiter} [options.rateLimiter] - Shared limit on requests per upstream host
+   */
+  constructor(options = {}) {
+    this.maxArticles = options.maxArticles || 10;
+    this.rateLimiter = options.rateLimiter || null;
+    this.clusterer = new ArticleClusterer({ threshold: options.clusterThreshold });
+    this.types = new Map();
+    this.providers = [];
+
+    this.registerType('rss', RssFeedProvider);
+    this.registerType('yahoo-rss', YahooRssProvider);
+    this.registerType('yahoo-scrape', YahooScrapeProvider);
+    this.registerType('google-news', QueryFeedProvider);
+    this.registerType('local-file', LocalFileProvider);
+  }
+
+  /**
+   * Register a provider class under a config type name
+   * @param {string} type - Type name used in provider config
+   * @param {Function} ProviderClass - Subclass of NewsProvider
+   */
+  registerType(type, ProviderClass) {
+    ProviderClass.type = type;
+    this.types.set(type, ProviderClass);
+  }
+
+  /**
+   * Replace configured providers from a list of config objects
+   * @param {Array<Object>} configs - Each has a type plus provider options
+   */
+  configure(configs) {
+    this.providers = [];
+    for (const config of configs) {
+      this.addProvider(config);
+    }
+  }
+
+  /**
+   * Instantiate and add a provider from config
+   * @param {Object} config - Provider config with a type
+   * @returns {NewsProvider}
+   */
+  addProvider(config) {
+    const ProviderClass = this.types.get(config.type);
+    if (!ProviderClass) {
+      throw new Error(`Unknown news provider type: ${config.type}`);
+    }
+    const provider = new ProviderClass(config);
+    provider.rateLimiter = this.rateLimiter;
+    this.providers.push(provider);
+    this.providers.sort((a, b) => a.order - b.order);
+    return provider;
+  }
+
+  /**
+   * Load provider config from a JSON file, falling back to the defaults
+   * @param {string} [configPath] - Path to a JSON array of provider configs
+   */
+  loadConfig(configPath) {
+    if (configPath && fs.existsSync(configPath)) {
+      try {
+        this.configure(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+        console.log(`📰 Loaded news providers from ${configPath}`);
+        return;
+      } catch (error) {
+        console.error(`Invalid news provider config ${configPath}:`, error.message);
+      }
+    }
+    this.configure(DEFAULT_PROVIDERS);
+  }
+
+  /**
+   * Describe the configured providers
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.providers.map(p => ({
+      name: p.name,
+      type: p.constructor.type,
+      enabled: p.enabled,
+      order: p.order,
+      fallback: p.fallback
+    }));
+  }
+
+  /**
+   * Fetch from every enabled provider and merge the results
+   * Fallback providers only run when the primary providers return nothing
+   * Syndicated copies of the same story are folded into one article
+   * @param {string} ticker - Ticker symbol
+   * @returns {Promise<Array>} Merged articles, most recent first
+   */
+  async fetchAll(ticker) {
+    const enabled = this.providers.filter(p => p.enabled);
+    const primary = enabled.filter(p => !p.fallback);
+    const fallbacks = enabled.filter(p => p.fallback);
+
+    let articles = await this._fetchFrom(primary, ticker);
+
+    for (const provider of fallbacks) {
+      if (articles.length > 0) break;
+      articles = await this._fetchFrom([provider], ticker);
+    }
+
+    const clustered = this.clusterer.cluster(articles);
+    if (clustered.length < articles.length) {
+      console.log(`Folded ${articles.length - clustered.length} duplicate articles into ${clustered.length} stories`);
+    }
+
+    return clustered.slice(0, this.maxArticles);
+  }
+
+  async _fetchFrom(providers, ticker) {
+    const results = await Promise.allSettled(providers.map(async (provider) => {
+      console.log(`Fetching ${provider.name} for ${ticker}...`);
+      const articles = await provider.fetch(ticker);
+      console.log(`${provider.name} returned ${articles.length} articles`);
+      return articles;
+    }));
+
+    const merged = [];
+    const seenLinks = new Set();
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`${providers[index].name} error:`, result.reason.message);
+        return;
+      }
+      for (const article of result.value) {
+        if (!seenLinks.has(article.link)) {
+          seenLinks.add(article.link);
+          merged.push(article);
+        }
+      }
+    });
+
+    // Sort by date (most recent first)
+    merged.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    return merged;
+  }
+}
+
+module.exports = {
+  NewsProviderRegistry,
+  NewsProvider,
+  RssFeedProvider,
+  YahooRssProvider,
+  QueryFeedProvider,
+  YahooScrapeProvider,
+  LocalFileProvider,
+  parseFeed,
+  parseArticleDate,
+  rateLimitKey,
+  DEFAULT_PROVIDERS
+};
@@ -0,0 +1,275 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Python Worker Pool Module
+ * Supervised, long-lived Python processes speaking line-delimited JSON-RPC over stdin/stdout
+ */
+
+class PythonWorker {
+  /**
+   * @param {Object} options - script, args, cwd, env, pythonPath, name
+   * @param {Function} onExit - Called with (worker, code, signal) when the process dies
+   */
+  constructor(options, onExit) {
+    this.options = options;
+    this.onExit = onExit;
+    this.pending = new Map();
+    this.process = null;
+    this.startedAt = 0;
+  }
+
+  /**
+   * Spawn the Python process
+   */
+  start() {
+    const { pythonPath, script, args, cwd, env, name } = this.options;
+
+    const child = spawn(pythonPath, [script, ...args], {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.process = child;
+    this.startedAt = Date.now();
+
+    let exited = false;
+    const handleExit = (code, signal) => {
+      if (exited) return;
+      exited = true;
+      this._rejectAll(new Error(`Python worker exited (${signal || `code ${code}`})`));
+      this.process = null;
+      this.onExit(this, code, signal);
+    };
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => this._onLine(line));
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      console.log(`🐍 [${name}] ${line}`);
+    });
+
+    // Writes to a worker that just died fail with EPIPE; the exit handler deals with it
+    child.stdin.on('error', () => {});
+
+    child.on('error', (error) => {
+      console.error(`🐍 [${name}] process error:`, error.message);
+      // A process that never spawned won't emit 'exit'
+      if (child.pid === undefined) handleExit(null, null);
+    });
+    child.on('exit', handleExit);
+  }
+
+  get isAlive() {
+    return this.process !== null && this.process.exitCode === null;
+  }
+
+  get load() {
+    return this.pending.size;
+  }
+
+  _onLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.log(`🐍 [${this.options.name}] ${line}`);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+    if (message.error) {
+      request.reject(new Error(message.error.message || 'Python worker error'));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  _rejectAll(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Send a request and wait for its response
+   * A timed-out worker is killed, since it may be stuck; the pool restarts it
+   * @param {number} id - Request ID
+   * @param {string} method - Method name
+   * @param {Object} params - Method parameters
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<*>}
+   */
+  send(id, method, params, timeout) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Python worker timed out after ${timeout}ms (${method})`));
+        this.kill();
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.process.stdin.write(JSON.stringify({ id, method, params }) + '\n');
+    });
+  }
+
+  kill() {
+    if (this.process) {
+      this.process.kill();
+    }
+  }
+}
+
+class PythonWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.script - Python script path
+   * @param {string[]} [options.args=['serve']] - Arguments that start the worker loop
+   * @param {number} [options.size=2] - Number of worker processes
+   * @param {number} [options.timeout=30000] - Default request timeout in ms
+   * @param {string} [options.pythonPath='python3'] - Python executable
+   * @param {string} [options.cwd] - Working directory (defaults to the script's folder)
+   * @param {number} [options.maxRestartDelay=30000] - Cap for the crash restart backoff in ms
+   * @param {number} [options.maxRestarts=5] - Restarts in a row, each after exiting within a minute,
+   *   before a worker is left stopped
+   * @param {string} [options.name='python-worker'] - Prefix for worker names in logs
+   * @param {Object} [options.env] - Extra environment variables; changes apply to workers started afterwards
+   */
+  constructor(options) {
+    this.script = options.script;
+    this.args = options.args || ['serve'];
+    this.size = Math.max(1, options.size || 2);
+    this.timeout = options.timeout || 30000;
+    this.pythonPath = options.pythonPath || 'python3';
+    this.cwd = options.cwd || path.dirname(options.script);
+    this.maxRestartDelay = options.maxRestartDelay || 30000;
+    this.maxRestarts = options.maxRestarts !== undefined ? options.maxRestarts : 5;
+    this.name = options.name || 'python-worker';
+    this.env = { ...options.env };
+    this.workers = [];
+    this.restartDelays = new Map();
+    this.failures = new Map();
+    this.stopped = new Set();
+    this.nextId = 1;
+    this.closed = false;
+  }
+
+  /**
+   * Start the worker processes (called automatically on first request)
+   */
+  start() {
+    if (this.workers.length > 0 || this.closed) return;
+
+    for (let i = 0; i < this.size; i++) {
+      const worker = new PythonWorker({
+        pythonPath: this.pythonPath,
+        script: this.script,
+        args: this.args,
+        cwd: this.cwd,
+        env: this.env,
+        name: `${this.name}-${i + 1}`
+      }, (exited, code, signal) => this._onWorkerExit(exited, code, signal));
+      this.workers.push(worker);
+      worker.start();
+    }
+  }
+
+  _onWorkerExit(worker, code, signal) {
+    if (this.closed) return;
+
+    // Back off on crash loops; a worker that ran for a minute starts over at 1s
+    const ranFor = Date.now() - worker.startedAt;
+    const failures = ranFor > 60000 ? 0 : (this.failures.get(worker) || 0) + 1;
+    this.failures.set(worker, failures);
+
+    // A worker that keeps dying right away (no sklearn, a broken model) won't recover by itself;
+    // once every worker has given up the pool is unavailable and callers use their fallback
+    if (failures > this.maxRestarts) {
+      this.stopped.add(worker);
+      if (!this.available) {
+        console.error(`🐍 Python workers keep exiting (${signal || `code ${code}`}), not restarting them after ${this.maxRestarts} tries`);
+      }
+      return;
+    }
+
+    const previous = ranFor > 60000 ? 0 : (this.restartDelays.get(worker) || 0);
+    const delay = Math.min(previous ? previous * 2 : 1000, this.maxRestartDelay);
+    this.restartDelays.set(worker, delay);
+
+    console.warn(`🐍 Python worker exited (${signal || `code ${code}`}), restarting in ${delay}ms`);
+    setTimeout(() => {
+      if (!this.closed) worker.start();
+    }, delay).unref();
+  }
+
+  /**
+   * Call a method on the least busy live worker
+   * @param {string} method - Method name
+   * @param {Object} [params] - Method parameters
+   * @param {Object} [options] - { timeout }
+   * @returns {Promise<*>} The method's result
+   */
+  call(method, params = {}, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Python worker pool is closed'));
+    }
+    if (!this.available) {
+      return Promise.reject(new Error('Python workers are unavailable (they kept exiting on start)'));
+    }
+    this.start();
+
+    const alive = this.workers.filter(w => w.isAlive);
+    if (alive.length === 0) {
+      return Promise.reject(new Error('No Python workers are running'));
+    }
+
+    const worker = alive.reduce((best, w) => (w.load < best.load ? w : best));
+    return worker.send(this.nextId++, method, params, options.timeout || this.timeout);
+  }
+
+  /**
+   * Call a method on every live worker (e.g. to reload a retrained model)
+   * @param {string} method - Method name
+   * @param {Object} [params] - Method parameters
+   * @returns {Promise<Array>} Settled results per worker
+   */
+  broadcast(method, params = {}) {
+    this.start();
+    return Promise.allSettled(
+      this.workers
+        .filter(w => w.isAlive)
+        .map(w => w.send(this.nextId++, method, params, this.timeout))
+    );
+  }
+
+  /**
+   * Whether worker processes have been started
+   * @returns {boolean}
+   */
+  get started() {
+    return this.workers.length > 0;
+  }
+
+  /**
+   * Whether any worker is still running or being restarted
+   * @returns {boolean}
+   */
+  get available() {
+    return this.stopped.size < this.size;
+  }
+
+  /**
+   * Stop all workers for good
+   */
+  close() {
+    this.closed = true;
+    this.workers.forEach(w => w.kill());
+  }
+}
+
+module.exports = PythonWorkerPool;
@@ -0,0 +1,183 @@
+/**
+ * Rate Limiter Module
+ * Token buckets per upstream host, with exponential backoff when the host answers 429 Too Many Requests
+ */
+
+class RateLimitedError extends Error {
+  /**
+   * @param {string} key - Throttled host
+   * @param {number} retryAt - Epoch ms when requests may resume
+   */
+  constructor(key, retryAt) {
+    super(`Rate limited by ${key} for another ${Math.ceil((retryAt - Date.now()) / 1000)}s`);
+    this.name = 'RateLimitedError';
+    this.code = 'RATE_LIMITED';
+    this.key = key;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or an HTTP date)
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.perMinute=30] - Requests per minute per key once the burst is spent
+   * @param {number} [options.burst=5] - Requests a key may make back to back
+   * @param {number} [options.backoff=5000] - Pause after the first 429 in ms, doubled on each one in a row
+   * @param {number} [options.maxBackoff=300000] - Longest pause in ms
+   * @param {number} [options.maxWait=10000] - Longest a request waits for a token or a pause to end;
+   *   past this it fails right away with a RateLimitedError
+   * @param {number} [options.retries=1] - Times a request is retried after a 429 if the pause fits in maxWait
+   */
+  constructor(options = {}) {
+    this.perMinute = options.perMinute || 30;
+    this.burst = options.burst || 5;
+    this.backoff = options.backoff || 5000;
+    this.maxBackoff = options.maxBackoff || 5 * 60 * 1000;
+    this.maxWait = options.maxWait !== undefined ? options.maxWait : 10000;
+    this.retries = options.retries !== undefined ? options.retries : 1;
+    this.buckets = new Map();
+  }
+
+  _bucket(key) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        tokens: this.burst,
+        updatedAt: Date.now(),
+        blockedUntil: 0,
+        strikes: 0,
+        stats: { requests: 0, waited: 0, throttled: 0, rejected: 0 }
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  _refill(bucket) {
+    const now = Date.now();
+    const perMs = this.perMinute / 60000;
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Wait for a token, failing fast if that would take longer than maxWait
+   * @param {string} key - Upstream host
+   * @returns {Promise<void>}
+   * @throws {RateLimitedError}
+   */
+  async acquire(key) {
+    const bucket = this._bucket(key);
+
+    for (;;) {
+      this._refill(bucket);
+      const now = Date.now();
+
+      const blockedFor = bucket.blockedUntil - now;
+      const tokenIn = bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / (this.perMinute / 60000));
+      const wait = Math.max(blockedFor, tokenIn, 0);
+
+      if (wait === 0) {
+        bucket.tokens -= 1;
+        bucket.stats.requests++;
+        return;
+      }
+      if (wait > this.maxWait) {
+        bucket.stats.rejected++;
+        throw new RateLimitedError(key, now + wait);
+      }
+
+      bucket.stats.waited++;
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Record a 429 from a host: pause it for Retry-After, or an exponentially growing backoff
+   * @param {string} key - Upstream host
+   * @param {number|null} [retryAfterMs] - Pause the host asked for
+   * @returns {number} Epoch ms when requests resume
+   */
+  penalize(key, retryAfterMs = null) {
+    const bucket = this._bucket(key);
+    const backoff = Math.min(this.maxBackoff, this.backoff * 2 ** bucket.strikes);
+    const pause = retryAfterMs !== null ? Math.min(this.maxBackoff, Math.max(retryAfterMs, 0)) : backoff;
+
+    bucket.strikes++;
+    bucket.stats.throttled++;
+    bucket.tokens = 0;
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + pause);
+    console.warn(`⏳ ${key} answered 429, pausing requests to it for ${Math.round(pause / 1000)}s`);
+    return bucket.blockedUntil;
+  }
+
+  /**
+   * Record a successful request, ending any run of 429s
+   * @param {string} key - Upstream host
+   */
+  reward(key) {
+    this._bucket(key).strikes = 0;
+  }
+
+  /**
+   * Run a request under the limit for its host, retrying after a 429 when the pause is short enough
+   * @param {string} key - Upstream host
+   * @param {Function} request - Returns a promise; axios-style errors carry response.status and headers
+   * @returns {Promise<*>} What the request resolves to
+   * @throws {RateLimitedError} When the host is paused for longer than maxWait
+   */
+  async schedule(key, request) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(key);
+      try {
+        const result = await request();
+        this.reward(key);
+        return result;
+      } catch (error) {
+        if (!error.response || error.response.status !== 429) throw error;
+
+        const headers = error.response.headers || {};
+        const retryAt = this.penalize(key, parseRetryAfter(headers['retry-after']));
+        if (attempt >= this.retries || retryAt - Date.now() > this.maxWait) {
+          throw new RateLimitedError(key, retryAt);
+        }
+      }
+    }
+  }
+
+  /**
+   * Tokens, pauses and counters per host
+   * @returns {Object}
+   */
+  getStats() {
+    const now = Date.now();
+    const hosts = {};
+    for (const [key, bucket] of this.buckets) {
+      this._refill(bucket);
+      hosts[key] = {
+        tokens: Math.floor(bucket.tokens * 100) / 100,
+        pausedForMs: Math.max(0, bucket.blockedUntil - now),
+        strikes: bucket.strikes,
+        ...bucket.stats
+      };
+    }
+    return { perMinute: this.perMinute, burst: this.burst, hosts };
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.RateLimitedError = RateLimitedError;
+module.exports.parseRetryAfter = parseRetryAfter;
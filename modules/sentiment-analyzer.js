@@ -1,19 +1,59 @@
-const { exec } = require('child_process');
 const path = require('path');
-const { promisify } = require('util');
-
-const execAsync = promisify(exec);
+const PythonWorkerPool = require('./python-worker-pool');
+const LexiconSentiment = require('./lexicon-sentiment');
+const { loadLabeledSentences } = require('./lexicon-sentiment');
 
 /**
  * Sentiment Analyzer Module
- * Interfaces with Python script for sentiment analysis
+ * Scores articles with the Python model (through a pool of persistent workers),
+ * the in-process lexicon, or a confidence-weighted ensemble of both
  */
 
+const LABELS = ['negative', 'neutral', 'positive'];
+// Reported instead of a label when no class is probable enough
+const UNCERTAIN = 'uncertain';
+const BACKENDS = ['python', 'lexicon', 'ensemble'];
+
 class SentimentAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.weighting] - How per-article scores are combined
+   * @param {number} [options.weighting.halfLifeHours=24] - An article's weight halves every this many hours
+   * @param {number} [options.weighting.duplicateWeight=0.5] - Extra weight per syndicated copy
+   * @param {number} [options.weighting.neutralWeight=0.5] - Weight multiplier for articles scored neutral,
+   *   so a few strongly worded headlines aren't drowned out by routine coverage
+   * @param {number} [options.workers=2] - Python worker processes
+   * @param {number} [options.timeout=30000] - Per-request timeout in ms
+   * @param {string} [options.backend='python'] - 'python', 'lexicon' or 'ensemble'
+   * @param {Object} [options.lexicon] - LexiconSentiment options
+   * @param {number} [options.abstainThreshold=0.5] - Below this confidence an article or aggregate is
+   *   labeled 'uncertain' (0 always picks a label)
+   */
+  constructor(options = {}) {
+    if (options.backend && !BACKENDS.includes(options.backend)) {
+      throw new Error(`Unknown sentiment backend "${options.backend}" (expected ${BACKENDS.join(', ')})`);
+    }
+    this.backend = options.backend || 'python';
+    this.abstainThreshold = options.abstainThreshold !== undefined ? options.abstainThreshold : 0.5;
+    this.lexicon = new LexiconSentiment(options.lexicon);
+    this.lexiconMetrics = null;
+    this.trainingData = path.join(__dirname, '..', 'Sentences_75Agree.txt');
     this.pythonScript = path.join(__dirname, '..', 'sentiment_analyzer.py');
+    this.pool = new PythonWorkerPool({
+      script: this.pythonScript,
+      size: options.workers || 2,
+      timeout: options.timeout || 30000,
+      cwd: path.join(__dirname, '..'),
+      name: 'sentiment-worker'
+    });
     this.isTrained = false;
     this.metrics = null;
+    this.weighting = {
+      halfLifeHours: 24,
+      duplicateWeight: 0.5,
+      neutralWeight: 0.5,
+      ...options.weighting
+    };
   }
 
   /**
@@ -22,10 +62,12 @@ class SentimentAnalyzer {
    */
   async train() {
     try {
-      const { stdout } = await execAsync(`python3 "${this.pythonScript}" train`);
-      const result = JSON.parse(stdout);
+      // Training reads the whole dataset; give it far longer than a prediction
+      const result = await this.pool.call('train', {}, { timeout: 5 * 60 * 1000 });
       
       if (result.success) {
+        // The other workers still hold the old model in memory
+        await this.pool.broadcast('reload');
         this.isTrained = true;
         this.metrics = result.metrics;
         console.log('✅ Sentiment model trained successfully');
@@ -41,17 +83,76 @@ class SentimentAnalyzer {
   }
 
   /**
-   * Get model metrics
+   * Train a new model version into its own folder, leaving the served model untouched
+   * @param {string} outputDir - Folder for the model files
+   * @param {string[]} [datasets] - Extra sentence@label files to train on
+   * @returns {Promise<Object>} Training metrics (including the sample count)
+   */
+  async trainVersion(outputDir, datasets = []) {
+    const result = await this.pool.call('train', { output_dir: outputDir, datasets }, { timeout: 5 * 60 * 1000 });
+    if (!result.success) {
+      throw new Error(result.error || 'Training failed');
+    }
+    return result.metrics;
+  }
+
+  /**
+   * Serve the model saved in a folder from now on
+   * Running workers reload it; workers started later load it directly
+   * @param {string} modelDir - Folder with the model files
+   * @param {Object} [metrics] - The model's metrics, if known
+   * @returns {Promise<void>}
+   */
+  async useModel(modelDir, metrics = null) {
+    this.pool.env.SENTIMENT_MODEL_DIR = modelDir;
+    this.metrics = metrics;
+
+    if (this.pool.started) {
+      const results = await this.pool.broadcast('reload', { model_dir: modelDir });
+      const failed = results.find(r => r.status === 'rejected' || !r.value.success);
+      if (failed) {
+        throw new Error(failed.reason ? failed.reason.message : `No model files in ${modelDir}`);
+      }
+    }
+  }
+
+  /**
+   * Get metrics for the active backend
+   * The ensemble reports the Python model's metrics, or the lexicon's when Python is unavailable
    * @returns {Promise<Object>} Model metrics
    */
   async getMetrics() {
+    if (this.backend === 'lexicon') {
+      return this.getLexiconMetrics();
+    }
+    if (this.backend === 'ensemble') {
+      try {
+        return await this._getPythonMetrics();
+      } catch (error) {
+        return this.getLexiconMetrics();
+      }
+    }
+    return this._getPythonMetrics();
+  }
+
+  /**
+   * Lexicon accuracy on the labeled training sentences (computed once)
+   * @returns {Object} Metrics
+   */
+  getLexiconMetrics() {
+    if (!this.lexiconMetrics) {
+      this.lexiconMetrics = this.lexicon.evaluate(loadLabeledSentences(this.trainingData));
+    }
+    return this.lexiconMetrics;
+  }
+
+  async _getPythonMetrics() {
     if (this.metrics) {
       return this.metrics;
     }
 
     try {
-      const { stdout } = await execAsync(`python3 "${this.pythonScript}" metrics`);
-      const result = JSON.parse(stdout);
+      const result = await this.pool.call('metrics', {}, { timeout: 5 * 60 * 1000 });
       
       if (result.error) {
         // Model not trained, train it
@@ -69,8 +170,9 @@ class SentimentAnalyzer {
 
   /**
    * Analyze sentiment of news articles
-   * @param {Array} articles - Array of article objects with title and description
-   * @returns {Promise<Object>} Sentiment analysis result
+   * Each article is scored on its own, then combined into a weighted aggregate
+   * @param {Array} articles - Array of article objects with title and description (or extracted body)
+   * @returns {Promise<Object>} Aggregate result with per-article scores in `articles`
    */
   async analyzeArticles(articles) {
     if (!articles || articles.length === 0) {
@@ -82,16 +184,17 @@ class SentimentAnalyzer {
     }
 
     try {
-      // Extract headlines and first paragraphs
+      // Extract headlines and first paragraphs (one text per article, kept in order)
       const texts = articles.map(article => {
         const title = article.title || '';
-        const description = article.description || '';
-        // Get first paragraph (first 200 chars of description)
-        const firstPara = description.substring(0, 200);
+        // Prefer the extracted article body over the feed description
+        const firstPara = article.body
+          ? article.body.substring(0, 1000)
+          : (article.description || '').substring(0, 200);
         return `${title} ${firstPara}`.trim();
-      }).filter(text => text.length > 0);
+      });
 
-      if (texts.length === 0) {
+      if (texts.every(text => text.length === 0)) {
         return {
           sentiment: 'neutral',
           confidence: 0,
@@ -99,30 +202,58 @@ class SentimentAnalyzer {
         };
       }
 
-      // Call Python script - use base64 to avoid shell escaping issues
-      const textsJson = JSON.stringify(texts);
-      const base64Json = Buffer.from(textsJson).toString('base64');
-      const { stdout } = await execAsync(`python3 "${this.pythonScript}" predict_base64 ${base64Json}`);
-      const result = JSON.parse(stdout);
-
-      if (result.error) {
-        // Model not trained, train it first
-        await this.train();
-        // Retry prediction
-        const { stdout: retryStdout } = await execAsync(`python3 "${this.pythonScript}" predict '${textsJson}'`);
-        return JSON.parse(retryStdout);
+      const result = await this._predictEach(texts);
+      const aggregate = this.abstain(this.aggregate(articles, result.predictions));
+      aggregate.articles = aggregate.articles.map(scored => this.abstain(scored));
+      aggregate.abstainThreshold = this.abstainThreshold;
+      aggregate.backend = result.backend;
+      if (result.fallback) {
+        aggregate.fallback = result.fallback;
       }
-
-      return result;
+      return aggregate;
     } catch (error) {
       console.error('Error analyzing sentiment:', error);
-      
-      // If model not trained, train it
-      if (error.message && error.message.includes('not trained')) {
-        await this.train();
-        return await this.analyzeArticles(articles);
+      return {
+        sentiment: 'neutral',
+        confidence: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Score free text, such as an earnings-call paragraph, a tweet or a research note
+   * Each sentence is scored on its own, then combined like the articles of a ticker
+   * (neutral sentences count less, so one strong sentence isn't drowned out)
+   * @param {string} text
+   * @returns {Promise<Object>} Overall label, confidence and probabilities plus per-sentence scores in `sentences`
+   */
+  async analyzeText(text) {
+    const sentences = this.splitSentences(text);
+    if (sentences.length === 0) {
+      return {
+        sentiment: 'neutral',
+        confidence: 0,
+        error: 'No text content found'
+      };
+    }
+
+    try {
+      const result = await this._predictEach(sentences);
+      // Sentences have no dates or duplicates, so only the neutral weighting applies
+      const { articles: scored, weighting, ...overall } = this.aggregate(sentences.map(() => ({})), result.predictions);
+      const analysis = {
+        ...this.abstain(overall),
+        sentences: scored.map(({ link, ...prediction }) => this.abstain({ ...prediction, text: sentences[prediction.index] })),
+        abstainThreshold: this.abstainThreshold,
+        backend: result.backend
+      };
+      if (result.fallback) {
+        analysis.fallback = result.fallback;
       }
-      
+      return analysis;
+    } catch (error) {
+      console.error('Error analyzing text sentiment:', error);
       return {
         sentiment: 'neutral',
         confidence: 0,
@@ -131,17 +262,217 @@ class SentimentAnalyzer {
     }
   }
 
+  /**
+   * Split text into sentences on end punctuation and line breaks
+   * @param {string} text
+   * @returns {string[]}
+   */
+  splitSentences(text) {
+    return (text || '')
+      .split(/\n\s*\n|(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9$])|\n(?=\s*[-*•])/)
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(sentence => /[A-Za-z]/.test(sentence));
+  }
+
+  /**
+   * Score each text separately with the configured backend
+   * In ensemble mode a Python failure falls back to the lexicon alone
+   * @param {string[]} texts - One text per article
+   * @returns {Promise<Object>} { predictions, backend, fallback? }
+   */
+  async _predictEach(texts) {
+    if (this.backend === 'lexicon') {
+      return { predictions: texts.map(text => this.lexicon.predict(text)), backend: 'lexicon' };
+    }
+
+    if (this.backend === 'python') {
+      return { predictions: await this._predictPython(texts), backend: 'python' };
+    }
+
+    const lexiconPredictions = texts.map(text => this.lexicon.predict(text));
+    let pythonPredictions;
+    try {
+      pythonPredictions = await this._predictPython(texts);
+    } catch (error) {
+      console.warn('⚠️ Python sentiment unavailable, using lexicon only:', error.message);
+      return {
+        predictions: lexiconPredictions,
+        backend: 'lexicon',
+        fallback: `Python model unavailable: ${error.message}`
+      };
+    }
+
+    return {
+      predictions: pythonPredictions.map((prediction, i) => this.combine(prediction, lexiconPredictions[i])),
+      backend: 'ensemble'
+    };
+  }
+
+  /**
+   * Score texts with the Python model, training it first if needed
+   * @param {string[]} texts
+   * @returns {Promise<Array>} One prediction per text
+   */
+  async _predictPython(texts) {
+    let result = await this.pool.call('predict_each', { texts });
+
+    if (result.error) {
+      // Model not trained, train it first and retry
+      await this.train();
+      result = await this.pool.call('predict_each', { texts });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+    }
+
+    return result.predictions;
+  }
+
+  /**
+   * Blend a Python and a lexicon prediction, each weighted by its own confidence
+   * @param {Object} python - Python model prediction
+   * @param {Object} lexicon - Lexicon prediction
+   * @returns {Object} Combined prediction, with both inputs under `models`
+   *   and the contributing terms of a model that agrees with the combined label
+   */
+  combine(python, lexicon) {
+    const pythonWeight = python.confidence;
+    const lexiconWeight = lexicon.confidence;
+    const total = pythonWeight + lexiconWeight || 1;
+
+    const probabilities = {};
+    for (const label of LABELS) {
+      const key = `probability_${label}`;
+      probabilities[label] = (pythonWeight * python[key] + lexiconWeight * lexicon[key]) / total;
+    }
+    const sentiment = LABELS.reduce((best, label) => (
+      probabilities[label] > probabilities[best] ? label : best
+    ), 'neutral');
+
+    // Term weights are relative to each model's own label, so only borrow from one that agrees
+    const explainer = [python, lexicon].find(p => p.sentiment === sentiment && p.terms && p.terms.length > 0);
+
+    return {
+      sentiment,
+      confidence: Math.round(probabilities[sentiment] * 10000) / 10000,
+      probability_negative: Math.round(probabilities.negative * 10000) / 10000,
+      probability_neutral: Math.round(probabilities.neutral * 10000) / 10000,
+      probability_positive: Math.round(probabilities.positive * 10000) / 10000,
+      terms: explainer ? explainer.terms : [],
+      models: {
+        python: { sentiment: python.sentiment, confidence: python.confidence },
+        lexicon: { sentiment: lexicon.sentiment, confidence: lexicon.confidence }
+      }
+    };
+  }
+
+  /**
+   * Label a prediction 'uncertain' when its confidence is under the abstain threshold
+   * The most probable label is kept in `predicted`; the probabilities are unchanged
+   * @param {Object} prediction - Per-article or aggregate prediction
+   * @returns {Object}
+   */
+  abstain(prediction) {
+    if (prediction.confidence >= this.abstainThreshold) {
+      return prediction;
+    }
+    return { ...prediction, sentiment: UNCERTAIN, predicted: prediction.sentiment };
+  }
+
+  /**
+   * Weight of one article in the aggregate
+   * @param {Object} article - Article with publishedAt and duplicateCount
+   * @param {Object} prediction - Its per-article prediction
+   * @param {number} now - Reference time in ms
+   * @returns {number}
+   */
+  articleWeight(article, prediction, now = Date.now()) {
+    const { halfLifeHours, duplicateWeight, neutralWeight } = this.weighting;
+
+    let weight = 1;
+    const published = article.publishedAt ? new Date(article.publishedAt).getTime() : NaN;
+    if (halfLifeHours > 0 && !isNaN(published)) {
+      const ageHours = Math.max(0, now - published) / (60 * 60 * 1000);
+      weight *= Math.pow(0.5, ageHours / halfLifeHours);
+    }
+    weight *= 1 + duplicateWeight * (article.duplicateCount || 0);
+    if (prediction.sentiment === 'neutral') {
+      weight *= neutralWeight;
+    }
+    return weight;
+  }
+
+  /**
+   * Combine per-article predictions into a weighted aggregate
+   * @param {Array} articles - The analyzed articles
+   * @param {Array} predictions - One prediction per article
+   * @returns {Object} Aggregate label, confidence and probabilities plus per-article scores
+   */
+  aggregate(articles, predictions) {
+    const now = Date.now();
+    const totals = { negative: 0, neutral: 0, positive: 0 };
+    let totalWeight = 0;
+
+    const scored = predictions.map((prediction, index) => {
+      const article = articles[index] || {};
+      const weight = this.articleWeight(article, prediction, now);
+      totalWeight += weight;
+      for (const label of LABELS) {
+        totals[label] += weight * prediction[`probability_${label}`];
+      }
+      return {
+        index,
+        link: article.link,
+        ...prediction,
+        weight: Math.round(weight * 10000) / 10000
+      };
+    });
+
+    const probabilities = {};
+    for (const label of LABELS) {
+      probabilities[label] = totalWeight > 0 ? totals[label] / totalWeight : 0;
+    }
+    const sentiment = LABELS.reduce((best, label) => (
+      probabilities[label] > probabilities[best] ? label : best
+    ), 'neutral');
+
+    return {
+      sentiment,
+      confidence: Math.round(probabilities[sentiment] * 10000) / 10000,
+      probability_negative: Math.round(probabilities.negative * 10000) / 10000,
+      probability_neutral: Math.round(probabilities.neutral * 10000) / 10000,
+      probability_positive: Math.round(probabilities.positive * 10000) / 10000,
+      articles: scored,
+      weighting: { ...this.weighting }
+    };
+  }
+
   /**
    * Ensure model is trained
    * @returns {Promise<void>}
    */
   async ensureTrained() {
+    if (this.backend === 'lexicon') {
+      // Nothing to train; scoring is in-process
+      this.isTrained = true;
+      return;
+    }
     if (!this.isTrained) {
       await this.getMetrics();
       this.isTrained = true;
     }
   }
+
+  /**
+   * Stop the Python workers
+   */
+  close() {
+    this.pool.close();
+  }
 }
 
 module.exports = SentimentAnalyzer;
+module.exports.BACKENDS = BACKENDS;
+module.exports.LABELS = LABELS;
+module.exports.UNCERTAIN = UNCERTAIN;
 
@@ -0,0 +1,76 @@
+/**
+ * Single Flight Module
+ * Coalesces concurrent calls for the same key into one run of the task. Callers that join late
+ * get the progress events the run already emitted, then the rest as they happen
+ */
+
+class SingleFlight {
+  constructor() {
+    this.flights = new Map();
+    this.stats = { started: 0, coalesced: 0 };
+  }
+
+  /**
+   * Run a task, or join the run already in flight for the key
+   * @param {string} key - Identifies identical work
+   * @param {Function} task - Called with emit(event, data); returns a promise
+   * @param {Object} [options]
+   * @param {Function} [options.onEvent] - Called with (event, data) for each event of the run
+   * @returns {Promise<*>} What the task resolves to (every caller gets the same result or error)
+   */
+  run(key, task, options = {}) {
+    let flight = this.flights.get(key);
+
+    if (flight) {
+      this.stats.coalesced++;
+      console.log(`🔗 Joining in-flight analysis for ${key}`);
+    } else {
+      flight = { events: [], listeners: new Set(), startedAt: Date.now(), callers: 0 };
+      this.flights.set(key, flight);
+      this.stats.started++;
+
+      const emit = (event, data) => {
+        flight.events.push([event, data]);
+        flight.listeners.forEach(listener => listener(event, data));
+      };
+      // The task starts on the next tick, so the first caller's listener is attached before any event
+      flight.promise = Promise.resolve()
+        .then(() => task(emit))
+        .finally(() => this.flights.delete(key));
+    }
+
+    flight.callers++;
+    if (options.onEvent) {
+      flight.events.forEach(([event, data]) => options.onEvent(event, data));
+      flight.listeners.add(options.onEvent);
+    }
+    return flight.promise;
+  }
+
+  /**
+   * Whether work for the key is in flight
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.flights.has(key);
+  }
+
+  /**
+   * Runs started and calls coalesced into them, plus what is in flight now
+   * @returns {Object}
+   */
+  getStats() {
+    const now = Date.now();
+    return {
+      ...this.stats,
+      inFlight: Array.from(this.flights.entries()).map(([key, flight]) => ({
+        key,
+        callers: flight.callers,
+        ageMs: now - flight.startedAt
+      }))
+    };
+  }
+}
+
+module.exports = SingleFlight;
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const { getDefaultDataDir } = require('./article-store');
+
+/**
+ * Symbol Directory Module
+ * Known listings (symbol, name, exchange, type) from CSV files, for ticker validation,
+ * canonicalization and company-name lookup
+ */
+
+const BUNDLED_FILE = path.join(__dirname, '..', 'symbols.csv');
+// Listings in the data folder add to or override the bundled ones
+const USER_FILE = 'symbols.csv';
+
+// Base symbol plus an optional share class: BRK-B, BF.B, RDS/A
+const SYMBOL_PATTERN = /^([A-Z0-9]{1,5})(?:[.\/-]([A-Z]))?$/;
+
+// Uppercase words that look like symbols but aren't, unless a listing says otherwise
+const COMMON_WORDS = new Set([
+  'I', 'A', 'AN', 'THE', 'AND', 'OR', 'OF', 'TO', 'IN', 'ON', 'AT', 'BY', 'FOR', 'IS', 'IT', 'BE',
+  'AS', 'IF', 'SO', 'NO', 'NOT', 'BUT', 'ARE', 'WAS', 'ALL', 'NEW', 'NOW', 'OK', 'YES', 'THIS',
+  'CEO', 'CFO', 'COO', 'CTO', 'USA', 'US', 'UK', 'EU', 'USD', 'EUR', 'GBP', 'JPY', 'IPO', 'ETF',
+  'SEC', 'FDA', 'FTC', 'DOJ', 'FED', 'GDP', 'CPI', 'PPI', 'EPS', 'PE', 'YOY', 'QOQ', 'YTD', 'ATH',
+  'AI', 'API', 'NEWS', 'BUY', 'SELL', 'HOLD', 'LONG', 'SHORT', 'CALL', 'PUT', 'PM', 'AM', 'EST',
+  'PST', 'UTC', 'TBD', 'FAQ', 'PDF', 'URL', 'LLC', 'INC', 'LTD', 'CORP', 'CO', 'NYSE', 'OTC'
+]);
+
+// Words dropped when matching company names: "Apple Inc." and "apple" are the same company
+const NAME_SUFFIXES = new Set([
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'companies', 'ltd', 'limited',
+  'plc', 'llc', 'lp', 'sa', 'ag', 'nv', 'se', 'holdings', 'holding', 'group', 'the', 'class',
+  'common', 'stock', 'shares', 'ordinary', 'ads', 'adr'
+]);
+
+/**
+ * Split one CSV line, honoring double-quoted fields
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Lowercase a company name and drop punctuation and corporate suffixes
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  const words = (name || '')
+    .toLowerCase()
+    .replace(/\bclass\s+[a-z]\b/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const kept = words.filter(word => !NAME_SUFFIXES.has(word));
+  return (kept.length > 0 ? kept : words).join(' ');
+}
+
+class SymbolDirectory {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.files] - CSV files to load, later ones overriding earlier ones
+   *   (default: the bundled symbols.csv, then symbols.csv in the data folder if present)
+   * @param {string} [options.dataDir] - Data folder checked for a symbols.csv of extra listings
+   * @param {boolean} [options.strict=false] - Only accept listed symbols. Off by default, since the
+   *   bundled list covers major listings only; well-formed symbols that aren't common words pass too
+   */
+  constructor(options = {}) {
+    this.files = options.files || [BUNDLED_FILE, path.join(options.dataDir || getDefaultDataDir(), USER_FILE)];
+    this.strict = options.strict !== undefined ? options.strict : process.env.SYMBOL_DIRECTORY_STRICT === 'true';
+    this.reload();
+  }
+
+  /**
+   * Read the CSV files again, picking up edited or newly added listings
+   * Missing files are skipped
+   * @returns {number} Listings loaded
+   */
+  reload() {
+    this.symbols = new Map();
+    this.names = new Map();
+
+    for (const file of this.files) {
+      let content;
+      try {
+        content = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+      const header = parseCsvLine(lines.shift() || '').map(column => column.toLowerCase());
+      lines.forEach(line => {
+        const fields = parseCsvLine(line);
+        const row = {};
+        header.forEach((column, i) => { row[column] = fields[i] || ''; });
+        this._add(row);
+      });
+    }
+
+    this._indexNames();
+    return this.symbols.size;
+  }
+
+  _add(row) {
+    const symbol = this._format(row.symbol);
+    if (!symbol) return;
+
+    this.symbols.set(symbol, {
+      symbol,
+      name: row.name || symbol,
+      exchange: row.exchange || null,
+      type: row.type || 'stock',
+      aliases: (row.aliases || '').split('|').map(alias => alias.trim()).filter(Boolean)
+    });
+  }
+
+  // Name index: first listing wins, so list a company's main share class first
+  _indexNames() {
+    for (const listing of this.symbols.values()) {
+      for (const name of [listing.name, ...listing.aliases]) {
+        const key = normalizeName(name);
+        if (key && !this.names.has(key)) {
+          this.names.set(key, listing.symbol);
+        }
+      }
+    }
+  }
+
+  /**
+   * Put a symbol in canonical form ("$brk.b" -> "BRK-B") without checking the listings
+   * @param {string} text
+   * @returns {string|null} Null if it isn't shaped like a symbol
+   */
+  _format(text) {
+    const cleaned = String(text || '').trim().replace(/^\$/, '').toUpperCase();
+    const match = cleaned.match(SYMBOL_PATTERN);
+    if (!match) return null;
+    return match[2] ? `${match[1]}-${match[2]}` : match[1];
+  }
+
+  /**
+   * Canonical form of a symbol: "BRK.B", "BRK/B" and "$brk-b" all become "BRK-B"
+   * @param {string} text
+   * @returns {string|null} The symbol, or null if it isn't a valid one
+   */
+  canonicalize(text) {
+    const symbol = this._format(text);
+    if (!symbol) return null;
+
+    // Symbols are written in capitals, so ordinary words like "now", "cat" or "hello" don't pass;
+    // a '$' marks lowercase text as meant for a listed symbol
+    const trimmed = String(text).trim();
+    const capitals = trimmed === trimmed.toUpperCase();
+    if (this.symbols.has(symbol)) return capitals || trimmed.startsWith('$') ? symbol : null;
+
+    if (this.strict || COMMON_WORDS.has(symbol) || !/[A-Z]/.test(symbol) || !capitals) return null;
+    return symbol;
+  }
+
+  /**
+   * Whether text is a valid ticker symbol
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isValid(text) {
+    return this.canonicalize(text) !== null;
+  }
+
+  /**
+   * Whether an uppercase word is usually ordinary text (CEO, USA, NOW) rather than a ticker
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isCommonWord(text) {
+    return COMMON_WORDS.has(this._format(text));
+  }
+
+  /**
+   * Listing details for a symbol
+   * @param {string} symbol
+   * @returns {Object|null} { symbol, name, exchange, type, aliases }
+   */
+  get(symbol) {
+    return this.symbols.get(this._format(symbol)) || null;
+  }
+
+  /**
+   * Symbol for a company name: "Nvidia" -> "NVDA"
+   * Matches the full name without suffixes, an alias, or the start of exactly one company's name
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.prefix=true] - Whether the start of a name is enough
+   * @returns {string|null}
+   */
+  lookupName(name, { prefix = true } = {}) {
+    const key = normalizeName(name);
+    if (key.length < 2) return null;
+    if (this.names.has(key)) return this.names.get(key);
+    if (!prefix) return null;
+
+    // "Meta" -> "Meta Platforms", but "General" is too ambiguous to pick one
+    const matches = new Set();
+    for (const [indexed, symbol] of this.names) {
+      if (indexed.startsWith(`${key} `)) matches.add(symbol);
+    }
+    return matches.size === 1 ? matches.values().next().value : null;
+  }
+
+  /**
+   * Symbol for text that is either a symbol or a company name
+   * Text in capitals or after a '$' is read as a symbol; anything else as a name, which lowercase
+   * text has to match in full, so "now", "cat" or "t" aren't taken for NOW, CAT or T
+   * @param {string} text
+   * @returns {string|null}
+   */
+  resolve(text) {
+    const trimmed = String(text || '').trim();
+    const symbol = this._format(trimmed);
+
+    // Capitals or a '$' shaped like a symbol are treated as one: "CEO" shouldn't match a company name
+    if (symbol && (trimmed === trimmed.toUpperCase() || trimmed.startsWith('$'))) return this.canonicalize(trimmed);
+
+    // All-lowercase text is too often an everyday word ("now", "home") to take the start of a name
+    return this.lookupName(trimmed, { prefix: trimmed !== trimmed.toLowerCase() });
+  }
+
+  /**
+   * Listings whose symbol or name contains the query, symbol matches first
+   * @param {string} query
+   * @param {number} [limit=10]
+   * @returns {Array<Object>}
+   */
+  search(query, limit = 10) {
+    const symbolQuery = String(query || '').trim().toUpperCase();
+    const nameQuery = normalizeName(query);
+    if (!symbolQuery) return [];
+
+    const scored = [];
+    for (const listing of this.symbols.values()) {
+      let rank = null;
+      if (listing.symbol === symbolQuery) rank = 0;
+      else if (listing.symbol.startsWith(symbolQuery)) rank = 1;
+      else if (nameQuery && normalizeName(listing.name).startsWith(nameQuery)) rank = 2;
+      else if (nameQuery && listing.name.toLowerCase().includes(nameQuery)) rank = 3;
+      if (rank !== null) scored.push({ rank, listing });
+    }
+
+    return scored
+      .sort((a, b) => a.rank - b.rank || a.listing.symbol.localeCompare(b.listing.symbol))
+      .slice(0, limit)
+      .map(({ listing }) => listing);
+  }
+
+  /**
+   * Number of known listings
+   * @returns {number}
+   */
+  get size() {
+    return this.symbols.size;
+  }
+}
+
+module.exports = SymbolDirectory;
+module.exports.parseCsvLine = parseCsvLine;
+module.exports.normalizeName = normalizeName;
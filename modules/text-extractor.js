@@ -1,5 +1,7 @@
 const { exec } = require('child_process');
 const { clipboard } = require('electron');
+const SymbolDirectory = require('./symbol-directory');
+const TickerExtractor = require('./ticker-extractor');
 
 /**
  * Text Extractor Module
@@ -7,8 +9,14 @@ const { clipboard } = require('electron');
  */
 
 class TextExtractor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {SymbolDirectory} [options.symbols] - Listings used to validate tickers
+   */
+  constructor(options = {}) {
     this.platform = process.platform;
+    this.symbols = options.symbols || new SymbolDirectory();
+    this.tickerExtractor = new TickerExtractor({ symbols: this.symbols });
   }
 
   /**
@@ -151,18 +159,25 @@ class TextExtractor {
   /**
    * Extract ticker symbols from text
    * @param {string} text - Text to extract tickers from
-   * @returns {string[]} - Array of potential ticker symbols
+   * @param {Object} [options]
+   * @param {number} [options.minConfidence=0] - Drop candidates scored below this
+   * @returns {string[]} - Canonical ticker symbols, most likely first, without duplicates
+   */
+  extractTickers(text, options = {}) {
+    const minConfidence = options.minConfidence || 0;
+    return this.extractTickerCandidates(text)
+      .filter(candidate => candidate.confidence >= minConfidence)
+      .map(candidate => candidate.symbol);
+  }
+
+  /**
+   * Ticker candidates in text with a confidence score from how each is written
+   * ($AAPL, NASDAQ: AAPL, "ticker: XYZ") and what surrounds it
+   * @param {string} text - Text to extract tickers from
+   * @returns {Array<Object>} - [{ symbol, confidence, source, match, index, mentions, listed, exchange }]
    */
-  extractTickers(text) {
-    if (!text) return [];
-    
-    const tickerPattern = /\b[A-Z]{1,5}(?:\.[A-Z])?\b/g;
-    const matches = text.match(tickerPattern);
-    
-    if (!matches) return [];
-    
-    // Filter to only valid tickers
-    return matches.filter(ticker => this._isValidTicker(ticker));
+  extractTickerCandidates(text) {
+    return this.tickerExtractor.extract(text);
   }
 
   /**
@@ -171,15 +186,7 @@ class TextExtractor {
    * @returns {boolean}
    */
   _isValidTicker(text) {
-    if (!text) return false;
-    
-    const cleaned = text.trim().toUpperCase();
-    
-    // Ticker pattern: 1-5 uppercase letters/numbers, optionally with dots
-    const tickerPattern = /^[A-Z0-9]{1,5}(\.[A-Z])?$/;
-    const simplePattern = /^[A-Z]{1,5}$/;
-    
-    return tickerPattern.test(cleaned) || simplePattern.test(cleaned);
+    return this.symbols.isValid(text);
   }
 }
 
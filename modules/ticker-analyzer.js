@@ -1,131 +1,580 @@
 const axios = require('axios');
+const SymbolDirectory = require('./symbol-directory');
 
 /**
  * Ticker Analyzer Module
- * Handles ticker analysis and API communication
+ * Handles ticker analysis and API communication through a job queue: duplicate requests share
+ * one job, user-initiated analyses run before watch-mode ones, and failed attempts are retried
  */
 
+// Lower runs first: analyses the user asked for go ahead of ones watch mode picked up, and
+// background watchlist refreshes wait for both
+const PRIORITY = {
+  user: 0,
+  watch: 1,
+  background: 2
+};
+
+// Network failures worth another attempt; the backend may still be starting or briefly overloaded.
+// EBADSTREAM marks an analysis stream that was cut short or garbled on the way
+const RETRYABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'EBADSTREAM']);
+
+/**
+ * Error for a broken analysis stream, retried like a dropped connection
+ * @param {string} message
+ * @returns {Error}
+ */
+function streamError(message) {
+  const error = new Error(message);
+  error.code = 'EBADSTREAM';
+  return error;
+}
+
+/**
+ * Parse one Server-Sent Events message block
+ * @param {string} raw - Lines of a single message
+ * @returns {Object|null} { event, data } or null for comments/keep-alives
+ * @throws {Error} EBADSTREAM if the data isn't valid JSON
+ */
+function parseSseMessage(raw) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of raw.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  if (dataLines.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    throw streamError(`Malformed analysis stream message (${error.message})`);
+  }
+}
+
+/**
+ * Whether a failed attempt should be retried
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Readable message for a failed attempt
+ * @param {Error} error
+ * @returns {string}
+ */
+function describeError(error) {
+  if (error.code === 'ECONNREFUSED') {
+    return 'Backend server is not running. Please restart the app.';
+  }
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+    return 'Request timed out. The backend may be slow or unresponsive.';
+  }
+  if (error.response) {
+    return `Backend returned HTTP ${error.response.status}`;
+  }
+  return error.message || 'Analysis failed';
+}
+
 class TickerAnalyzer {
-  constructor(apiUrl = 'http://localhost:3001/api/analyze') {
+  /**
+   * @param {string} [apiUrl] - Backend analyze endpoint
+   * @param {Object} [options]
+   * @param {SymbolDirectory} [options.symbols] - Listings used to validate tickers and look up company names
+   * @param {number} [options.concurrency=2] - Analyses running at once
+   * @param {number} [options.maxQueued=20] - Waiting analyses kept; past this the oldest lowest-priority one is dropped
+   * @param {number} [options.maxRetries=2] - Extra attempts after a network failure or a 5xx
+   * @param {number} [options.retryDelay=1000] - First retry delay in ms, doubled on each further attempt
+   * @param {number} [options.maxRetryDelay=15000] - Longest retry delay in ms
+   */
+  constructor(apiUrl = 'http://localhost:3001/api/analyze', options = {}) {
     this.apiUrl = apiUrl;
-    this.isAnalyzing = false;
-    this.pendingTickers = [];
+    this.symbols = options.symbols || new SymbolDirectory();
+    this.concurrency = options.concurrency || 2;
+    this.maxQueued = options.maxQueued || 20;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.retryDelay = options.retryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 15000;
+
+    // Waiting and running jobs by ticker; at most one per ticker
+    this.jobs = new Map();
+    this.nextJobId = 1;
+    this.running = 0;
+
     this.onAnalysisComplete = null;
+    this.onProgress = null;
     this.onError = null;
+    this.onQueueChange = null;
   }
 
   /**
    * Set callback for when analysis completes
-   * @param {Function} callback - Called with (ticker, data)
+   * @param {Function} callback - Called with (ticker, data, job)
    */
   setAnalysisCallback(callback) {
     this.onAnalysisComplete = callback;
   }
 
+  /**
+   * Set callback for partial results while an analysis streams in
+   * @param {Function} callback - Called with (ticker, event, data, job) for 'articles', 'summary' and 'sentiment'
+   */
+  setProgressCallback(callback) {
+    this.onProgress = callback;
+  }
+
   /**
    * Set callback for errors
-   * @param {Function} callback - Called with (error)
+   * @param {Function} callback - Called with (error, job)
    */
   setErrorCallback(callback) {
     this.onError = callback;
   }
 
   /**
-   * Analyze a ticker symbol
-   * @param {string} ticker - Ticker symbol to analyze
-   * @returns {Promise<Object>}
+   * Set callback for queue changes
+   * @param {Function} callback - Called with ({ type, job, queue }). type is 'queued', 'updated', 'started',
+   *   'retrying', 'completed', 'failed' or 'cancelled'; queue is getQueue() after the change
+   */
+  setQueueCallback(callback) {
+    this.onQueueChange = callback;
+  }
+
+  /**
+   * Queue an analysis of a ticker
+   * A ticker that is already waiting or running isn't queued twice: the caller shares that job,
+   * gets the partial results it has delivered so far, and raises its priority if needed
+   * @param {string} ticker - Ticker symbol or company name
+   * @param {Object} [options]
+   * @param {string} [options.priority='user'] - 'user', 'watch' or 'background'
+   * @param {string} [options.origin] - Who asked (e.g. 'overlay', 'watch'), listed in job snapshots
+   * @param {AbortSignal} [options.signal] - Withdraws this request; the job is cancelled once nobody waits on it
+   * @param {Function} [options.onProgress] - Called with (event, data) for this request's partial results
+   * @param {boolean} [options.refresh] - Fetch the news again rather than take the backend's cached result
+   *   (an analysis already running is shared as it is)
+   * @returns {Promise<Object>} The analysis, or { error } (with cancelled: true if it was cancelled)
    */
-  async analyze(ticker) {
-    // Prevent concurrent analysis
-    if (this.isAnalyzing) {
-      console.log(`Analysis in progress, queuing ticker: ${ticker}`);
-      this.pendingTickers.push(ticker);
-      return;
+  analyze(ticker, options = {}) {
+    const symbol = this.resolveTicker(ticker) || String(ticker || '').trim().toUpperCase();
+    if (!symbol) {
+      return Promise.resolve({ error: 'Ticker symbol is required' });
+    }
+    if (options.signal && options.signal.aborted) {
+      return Promise.resolve({ error: 'Cancelled', cancelled: true });
     }
 
-    this.isAnalyzing = true;
-    const tickerUpper = ticker.trim().toUpperCase();
+    const priority = PRIORITY[options.priority] !== undefined ? PRIORITY[options.priority] : PRIORITY.user;
+    let job = this.jobs.get(symbol);
 
-    try {
-      console.log(`Starting analysis for ticker: ${tickerUpper}`);
+    if (job) {
+      console.log(`Analysis of ${symbol} already ${job.status}, sharing it`);
+      job.priority = Math.min(job.priority, priority);
+      if (job.status !== 'running') {
+        job.refresh = job.refresh || Boolean(options.refresh);
+      }
+    } else {
+      if (!this._makeRoom(priority)) {
+        const error = new Error('Analysis queue is full');
+        this._notifyError(error, null);
+        return Promise.resolve({ error: error.message });
+      }
+      job = this._createJob(symbol, priority);
+      job.refresh = Boolean(options.refresh);
+      this.jobs.set(symbol, job);
+      console.log(`Queued analysis of ${symbol} (${this.jobs.size} in queue)`);
+    }
 
-      const response = await axios.post(this.apiUrl, {
-        ticker: tickerUpper
-      }, {
-        timeout: 30000 // 30 second timeout
-      });
+    const promise = new Promise((resolve) => {
+      const request = { origin: options.origin || null, onProgress: options.onProgress || null, resolve };
+      job.requests.add(request);
 
-      const data = response.data;
+      // Catch up on sections a shared job already delivered
+      if (request.onProgress) {
+        job.partials.forEach(([event, data]) => request.onProgress(event, data));
+      }
 
-      if (data.error) {
-        console.error('Error analyzing ticker:', data.error);
-        if (this.onError) {
-          this.onError(new Error(data.error));
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => this._withdraw(job, request), { once: true });
+      }
+    });
+
+    this._emitQueue(job.requests.size === 1 ? 'queued' : 'updated', job);
+    this._pump();
+    return promise;
+  }
+
+  /**
+   * Cancel the analysis of a ticker for everyone waiting on it
+   * @param {string} ticker - Ticker symbol
+   * @returns {boolean} Whether a waiting or running analysis was cancelled
+   */
+  cancel(ticker) {
+    const symbol = this.resolveTicker(ticker) || String(ticker || '').trim().toUpperCase();
+    const job = this.jobs.get(symbol);
+    if (!job) return false;
+
+    this._cancelJob(job);
+    return true;
+  }
+
+  /**
+   * Cancel every waiting and running analysis
+   * @returns {number} Analyses cancelled
+   */
+  cancelAll() {
+    const jobs = [...this.jobs.values()];
+    jobs.forEach(job => this._cancelJob(job));
+    return jobs.length;
+  }
+
+  /**
+   * Snapshot of the queue: running analyses first, then waiting ones in the order they will run
+   * @returns {Array<Object>} [{ id, ticker, status, priority, attempt, origins, queuedAt, startedAt, retryAt, error }]
+   */
+  getQueue() {
+    const statusOrder = { running: 0, retrying: 1, queued: 2 };
+    return [...this.jobs.values()]
+      .sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || this._compareJobs(a, b))
+      .map(job => this._snapshot(job));
+  }
+
+  _createJob(ticker, priority) {
+    return {
+      id: this.nextJobId++,
+      ticker,
+      priority,
+      refresh: false,
+      status: 'queued',
+      attempt: 0,
+      requests: new Set(),
+      partials: [],
+      controller: null,
+      retryTimer: null,
+      queuedAt: Date.now(),
+      startedAt: null,
+      retryAt: null,
+      lastError: null
+    };
+  }
+
+  _snapshot(job) {
+    return {
+      id: job.id,
+      ticker: job.ticker,
+      status: job.status,
+      priority: Object.keys(PRIORITY).find(name => PRIORITY[name] === job.priority),
+      attempt: job.attempt,
+      origins: [...new Set([...job.requests].map(request => request.origin).filter(Boolean))],
+      queuedAt: new Date(job.queuedAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      retryAt: job.retryAt ? new Date(job.retryAt).toISOString() : null,
+      error: job.lastError
+    };
+  }
+
+  // Higher priority first, then first come first served
+  _compareJobs(a, b) {
+    return a.priority - b.priority || a.id - b.id;
+  }
+
+  /**
+   * Keep the number of waiting jobs under maxQueued by dropping the oldest of the lowest priority
+   * @param {number} priority - Priority of the job about to be queued
+   * @returns {boolean} Whether there is room for it
+   */
+  _makeRoom(priority) {
+    const waiting = [...this.jobs.values()].filter(job => job.status === 'queued');
+    if (waiting.length < this.maxQueued) return true;
+
+    const [victim] = waiting.sort((a, b) => b.priority - a.priority || a.id - b.id);
+    if (victim.priority < priority) return false;
+
+    console.log(`Analysis queue full, dropping ${victim.ticker}`);
+    this._cancelJob(victim, 'Dropped from a full analysis queue');
+    return true;
+  }
+
+  // Start waiting jobs while there are free slots
+  _pump() {
+    while (this.running < this.concurrency) {
+      const next = [...this.jobs.values()]
+        .filter(job => job.status === 'queued')
+        .sort((a, b) => this._compareJobs(a, b))[0];
+      if (!next) return;
+      this._run(next);
+    }
+  }
+
+  async _run(job) {
+    this.running++;
+    job.status = 'running';
+    job.attempt++;
+    job.startedAt = job.startedAt || Date.now();
+    job.retryAt = null;
+    job.controller = new AbortController();
+    this._emitQueue('started', job);
+    console.log(`Starting analysis for ticker: ${job.ticker}${job.attempt > 1 ? ` (attempt ${job.attempt})` : ''}`);
+
+    try {
+      const data = await this.streamAnalysis(job.ticker, (event, partial) => {
+        job.partials.push([event, partial]);
+        job.requests.forEach(request => request.onProgress && request.onProgress(event, partial));
+        if (this.onProgress) {
+          this.onProgress(job.ticker, event, partial, this._snapshot(job));
         }
-        return null;
+      }, { signal: job.controller.signal, refresh: job.refresh });
+
+      if (job.status === 'cancelled') return;
+
+      if (data.error) {
+        // The backend ran the analysis and it failed (e.g. no news source answered); retrying won't help
+        this._fail(job, new Error(data.error));
+        return;
       }
 
-      // Call completion callback
+      const snapshot = this._snapshot(job);
+      this._finish(job, 'completed', data);
       if (this.onAnalysisComplete) {
-        this.onAnalysisComplete(tickerUpper, data);
+        this.onAnalysisComplete(job.ticker, data, snapshot);
       }
-
-      return data;
     } catch (error) {
-      console.error('Error in analyzeTicker:', error.message);
+      if (job.status === 'cancelled') return;
 
-      if (error.code === 'ECONNREFUSED') {
-        const errMsg = 'Backend server is not running. Please restart the app.';
-        console.error(errMsg);
-        if (this.onError) {
-          this.onError(new Error(errMsg));
-        }
-      } else if (error.code === 'ETIMEDOUT') {
-        const errMsg = 'Request timed out. The backend may be slow or unresponsive.';
-        console.error(errMsg);
-        if (this.onError) {
-          this.onError(new Error(errMsg));
-        }
+      if (isRetryable(error) && job.attempt <= this.maxRetries) {
+        this._scheduleRetry(job, error);
       } else {
-        if (this.onError) {
-          this.onError(error);
-        }
+        console.error('Error in analyzeTicker:', error.message);
+        this._fail(job, new Error(describeError(error)));
       }
-
-      return null;
     } finally {
-      this.isAnalyzing = false;
-
-      // Process pending tickers
-      if (this.pendingTickers.length > 0) {
-        const nextTicker = this.pendingTickers.shift();
-        console.log(`Processing pending ticker: ${nextTicker}`);
-        // Small delay before processing next ticker
-        setTimeout(() => {
-          this.analyze(nextTicker);
-        }, 500);
+      this.running--;
+      job.controller = null;
+      this._pump();
+    }
+  }
+
+  _scheduleRetry(job, error) {
+    const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (job.attempt - 1));
+    // Up to 20% jitter, so retries from several jobs don't land together
+    const wait = Math.round(delay * (1 + Math.random() * 0.2));
+
+    job.status = 'retrying';
+    job.lastError = describeError(error);
+    job.retryAt = Date.now() + wait;
+    // The next attempt delivers its sections from scratch
+    job.partials = [];
+    console.log(`Analysis of ${job.ticker} failed (${job.lastError}), retrying in ${wait}ms`);
+    this._emitQueue('retrying', job);
+
+    job.retryTimer = setTimeout(() => {
+      job.retryTimer = null;
+      if (job.status === 'retrying') {
+        job.status = 'queued';
+        this._pump();
+      }
+    }, wait);
+  }
+
+  _fail(job, error) {
+    console.error('Error analyzing ticker:', error.message);
+    job.lastError = error.message;
+    const snapshot = this._snapshot(job);
+    this._finish(job, 'failed', { error: error.message });
+    this._notifyError(error, snapshot);
+  }
+
+  _notifyError(error, job) {
+    if (this.onError) {
+      this.onError(error, job);
+    }
+  }
+
+  /**
+   * Remove a job and answer everyone waiting on it
+   * @param {Object} job
+   * @param {string} status - 'completed', 'failed' or 'cancelled'
+   * @param {Object} result - What each request's promise resolves to
+   */
+  _finish(job, status, result) {
+    if (this.jobs.get(job.ticker) === job) {
+      this.jobs.delete(job.ticker);
+    }
+    job.status = status;
+    if (job.retryTimer) {
+      clearTimeout(job.retryTimer);
+      job.retryTimer = null;
+    }
+
+    this._emitQueue(status, job);
+    const requests = [...job.requests];
+    job.requests.clear();
+    requests.forEach(request => request.resolve(result));
+  }
+
+  _cancelJob(job, reason = 'Cancelled') {
+    if (job.controller) {
+      job.controller.abort();
+    }
+    console.log(`Cancelled analysis of ${job.ticker}`);
+    this._finish(job, 'cancelled', { error: reason, cancelled: true });
+  }
+
+  // One caller gave up; the job keeps going while anyone else still waits on it
+  _withdraw(job, request) {
+    if (!job.requests.has(request)) return;
+
+    job.requests.delete(request);
+    request.resolve({ error: 'Cancelled', cancelled: true });
+
+    if (job.requests.size === 0) {
+      this._cancelJob(job);
+    } else {
+      this._emitQueue('updated', job);
+    }
+  }
+
+  _emitQueue(type, job) {
+    if (this.onQueueChange) {
+      this.onQueueChange({ type, job: this._snapshot(job), queue: this.getQueue() });
+    }
+  }
+
+  /**
+   * Run an analysis through the streaming endpoint
+   * @param {string} ticker - Ticker symbol or company name
+   * @param {Function} [onEvent] - Called with (event, data) for each partial result
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request and the stream
+   * @param {boolean} [options.refresh] - Skip the backend's cache
+   * @returns {Promise<Object>} The full result (or { error }) once the stream is done
+   */
+  async streamAnalysis(ticker, onEvent = () => {}, options = {}) {
+    const response = await axios.get(`${this.apiUrl}/stream`, {
+      params: { ticker: this.resolveTicker(ticker) || ticker.trim(), refresh: options.refresh ? 'true' : undefined },
+      responseType: 'stream',
+      timeout: 30000, // 30 second timeout
+      signal: options.signal,
+      // Rejected requests (e.g. not a ticker) come back as JSON { error } rather than a stream
+      validateStatus: status => status < 500 && status !== 429
+    });
+
+    if (response.status >= 400) {
+      let body = '';
+      for await (const chunk of response.data) {
+        body += chunk;
+      }
+      try {
+        return { error: JSON.parse(body).error || `Backend returned HTTP ${response.status}` };
+      } catch (error) {
+        return { error: `Backend returned HTTP ${response.status}` };
       }
     }
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let finished = false;
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          response.data.destroy();
+          if (!finished) {
+            finished = true;
+            reject(new axios.CanceledError('Analysis cancelled'));
+          }
+        }, { once: true });
+      }
+
+      response.data.setEncoding('utf8');
+      response.data.on('data', (chunk) => {
+        if (finished) return;
+        buffer += chunk;
+
+        // A garbled message or a throwing onEvent would otherwise escape from this listener as an
+        // uncaught exception and leave the promise pending
+        try {
+          let boundary;
+          while (!finished && (boundary = buffer.indexOf('\n\n')) !== -1) {
+            const message = parseSseMessage(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (!message) continue;
+
+            if (message.event === 'done') {
+              finished = true;
+              resolve(message.data);
+            } else if (message.event === 'error') {
+              finished = true;
+              resolve({ error: (message.data && message.data.error) || 'Analysis failed' });
+            } else {
+              onEvent(message.event, message.data);
+            }
+          }
+        } catch (error) {
+          finished = true;
+          response.data.destroy();
+          reject(error);
+        }
+      });
+      response.data.on('end', () => {
+        if (!finished) {
+          finished = true;
+          reject(streamError('Analysis stream ended before the result was complete'));
+        }
+      });
+      response.data.on('error', (error) => {
+        if (!finished) {
+          finished = true;
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Analyze a list of tickers in one request (e.g. a watchlist)
+   * Bypasses the job queue; the server fans out with bounded concurrency
+   * @param {string[]} tickers - Ticker symbols
+   * @param {Object} [options] - concurrency, bodyExtraction
+   * @returns {Promise<Object>} { results: [{ ticker, ok, data|error }], succeeded, failed }
+   */
+  async analyzeBatch(tickers, options = {}) {
+    const response = await axios.post(`${this.apiUrl}/batch`, {
+      tickers: tickers.map(t => this.resolveTicker(t) || t.trim().toUpperCase()),
+      ...options
+    }, {
+      timeout: 120000 // 2 minute timeout for large watchlists
+    });
+
+    return response.data;
   }
 
   /**
-   * Validate ticker symbol format
+   * Check text against the symbol directory
    * @param {string} text - Text to validate
    * @returns {boolean}
    */
   isValidTicker(text) {
-    if (!text) return false;
-
-    const cleaned = text.trim().toUpperCase();
-
-    // Ticker pattern: 1-5 uppercase letters/numbers, optionally with dots
-    const tickerPattern = /^[A-Z0-9]{1,5}(\.[A-Z])?$/;
-    const simplePattern = /^[A-Z]{1,5}$/;
+    return this.symbols.isValid(text);
+  }
 
-    return tickerPattern.test(cleaned) || simplePattern.test(cleaned);
+  /**
+   * Ticker for a symbol or company name: "$brk.b" -> "BRK-B", "Nvidia" -> "NVDA"
+   * @param {string} text - Symbol or company name
+   * @returns {string|null}
+   */
+  resolveTicker(text) {
+    return this.symbols.resolve(text);
   }
 }
 
 module.exports = TickerAnalyzer;
-
-
+module.exports.PRIORITY = PRIORITY;
@@ -0,0 +1,237 @@
+const SymbolDirectory = require('./symbol-directory');
+const { normalizeName } = require('./symbol-directory');
+
+/**
+ * Ticker Extractor Module
+ * Finds ticker symbols in free text and scores each one by how it is written and what surrounds it
+ */
+
+const SYMBOL = '[A-Za-z]{1,5}(?:[.\\/-][A-Za-z])?';
+const UPPER_SYMBOL = '[A-Z]{1,5}(?:[.\\/-][A-Z])?';
+
+// "NASDAQ: AAPL", "Nasdaq:AAPL", "NYSE: F"
+const EXCHANGES = ['NASDAQ', 'NYSE', 'NYSEARCA', 'NYSEAMERICAN', 'NYSEMKT', 'AMEX', 'ARCA', 'BATS', 'CBOE', 'OTC', 'OTCMKTS', 'TSX', 'LSE']
+  .flatMap(exchange => [exchange, exchange[0] + exchange.slice(1).toLowerCase()]);
+
+// Explicit mentions, strongest first. A span claimed by one pattern isn't scored again by a weaker one
+const EXPLICIT_PATTERNS = [
+  { source: 'exchange', confidence: 0.95, pattern: new RegExp(`\\b(${EXCHANGES.join('|')})\\s*:\\s*\\$?(${UPPER_SYMBOL})(?![\\w\\/-])`, 'g') },
+  { source: 'cashtag', confidence: 0.95, pattern: new RegExp(`(?<![\\w$])\\$(${SYMBOL})(?![\\w\\/-])`, 'g') },
+  { source: 'label', confidence: 0.9, pattern: new RegExp(`\\b(?:[Tt]icker|TICKER|[Ss]ymbol|SYMBOL)(?:\\s+(?:symbol|SYMBOL))?\\s*[:=]?\\s*\\$?(${UPPER_SYMBOL})(?![\\w\\/-])`, 'g') },
+  { source: 'parenthesized', confidence: 0.8, pattern: new RegExp(`\\(\\s*(${UPPER_SYMBOL})\\s*\\)`, 'g') }
+];
+
+// Any other uppercase word shaped like a symbol
+const BARE_PATTERN = new RegExp(`(?<![\\w$.\\/-])(${UPPER_SYMBOL})(?![\\w\\/-]|\\.[A-Za-z])`, 'g');
+
+// Listed tickers that are also everyday words, so a bare mention is weak evidence
+const AMBIGUOUS_SYMBOLS = new Set([
+  'NOW', 'LOW', 'COST', 'CAT', 'ALL', 'ON', 'IT', 'KEY', 'FAST', 'ARE', 'BIG', 'FUN', 'GO', 'HAS',
+  'CAR', 'PLAY', 'EAT', 'LOVE', 'OPEN', 'PEAK', 'RUN', 'SEE', 'WELL', 'BE', 'HE', 'ME', 'MAN', 'TV'
+]);
+
+// Words near a bare symbol that suggest it's being talked about as a stock
+const MARKET_CONTEXT = /\b(?:shares?|stocks?|equity|ticker|traded?|trading|rose|fell|rall(?:y|ied)|jump(?:ed|s)|gain(?:ed|s)|slid|slump(?:ed|s)|drop(?:ped|s)|surg(?:ed|es)|plung(?:ed|es)|soar(?:ed|s)|sank|earnings|guidance|upgrade[ds]?|downgrade[ds]?|price target|calls|puts|options|short interest|market cap)\b/i;
+
+const BASE_CONFIDENCE = {
+  exact: 0.9, // the whole text is one symbol
+  bare: 0.5,
+  ambiguous: 0.15 // single letters and everyday words written bare
+};
+const UNLISTED_PENALTY = 0.25;
+const MARKET_CONTEXT_BOOST = 0.15;
+const COMPANY_NAME_BOOST = 0.2;
+const MENTION_BOOST = 0.05;
+const MAX_MENTION_BOOST = 0.1;
+// Text mostly in capitals (a shouted headline) makes every bare word look like a symbol
+const SHOUTING_RATIO = 0.6;
+
+class TickerExtractor {
+  /**
+   * @param {Object} [options]
+   * @param {SymbolDirectory} [options.symbols] - Listings used to validate tickers and match company names
+   * @param {number} [options.contextWindow=40] - Characters either side of a mention checked for market words
+   */
+  constructor(options = {}) {
+    this.symbols = options.symbols || new SymbolDirectory();
+    this.contextWindow = options.contextWindow || 40;
+  }
+
+  /**
+   * Ticker candidates in text, most likely first
+   * "$AAPL", "NASDAQ: AAPL" and "(ticker: XYZ)" score high; a bare "IT" or "CAT" in a sentence scores low
+   * @param {string} text
+   * @returns {Array<Object>} [{ symbol, confidence, source, match, index, mentions, listed, exchange }]
+   */
+  extract(text) {
+    if (!text || !text.trim()) return [];
+
+    const exact = this._exactMatch(text);
+    if (exact) return [exact];
+
+    const claimed = [];
+    const mentions = [];
+
+    for (const { source, confidence, pattern } of EXPLICIT_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (claimed.some(span => start < span.end && end > span.start)) continue;
+
+        const raw = match[match.length - 1];
+        const symbol = this.symbols.canonicalize(raw.toUpperCase());
+        if (!symbol) continue;
+
+        claimed.push({ start, end });
+        mentions.push({
+          symbol,
+          source,
+          match: match[0],
+          index: start,
+          confidence: this._scoreExplicit(symbol, source, confidence, text),
+          exchange: source === 'exchange' ? match[1].toUpperCase() : null
+        });
+      }
+    }
+
+    const shouting = this._isShouting(text);
+    for (const match of text.matchAll(BARE_PATTERN)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (claimed.some(span => start < span.end && end > span.start)) continue;
+
+      // "U.S." and "U.K." are abbreviations, not share classes
+      if (/^[A-Z][.\/-]/.test(match[1])) continue;
+
+      const symbol = this.symbols.canonicalize(match[1]);
+      if (!symbol) continue;
+
+      mentions.push({
+        symbol,
+        source: 'bare',
+        match: match[0],
+        index: start,
+        confidence: this._scoreBare(symbol, text, start, end, shouting),
+        exchange: null
+      });
+    }
+
+    return this._merge(mentions);
+  }
+
+  /**
+   * The whole text is a single symbol, e.g. a selected "AAPL" or "$brk.b"
+   * @param {string} text
+   * @returns {Object|null}
+   */
+  _exactMatch(text) {
+    const trimmed = text.trim();
+    const symbol = trimmed.startsWith('$')
+      ? this.symbols.canonicalize(trimmed.toUpperCase())
+      : this.symbols.canonicalize(trimmed);
+    if (!symbol) return null;
+
+    const listed = Boolean(this.symbols.get(symbol));
+    return this._candidate({
+      symbol,
+      source: 'exact',
+      match: trimmed,
+      index: text.indexOf(trimmed),
+      confidence: BASE_CONFIDENCE.exact - (listed ? 0 : UNLISTED_PENALTY),
+      exchange: null
+    }, 1);
+  }
+
+  _scoreExplicit(symbol, source, confidence, text) {
+    if (this.symbols.get(symbol)) {
+      // "Apple Inc. (AAPL)": a matching company name confirms the parenthesized symbol
+      return source === 'parenthesized' && this._mentionsCompany(symbol, text)
+        ? confidence + COMPANY_NAME_BOOST / 2
+        : confidence;
+    }
+    // Cashtags and exchange prefixes are deliberate; an unlisted "(ESG)" is more likely an acronym
+    return source === 'parenthesized' ? confidence - 2 * UNLISTED_PENALTY : confidence - UNLISTED_PENALTY / 5;
+  }
+
+  _scoreBare(symbol, text, start, end, shouting) {
+    const listed = Boolean(this.symbols.get(symbol));
+    const ambiguous = symbol.length === 1 || AMBIGUOUS_SYMBOLS.has(symbol) || this.symbols.isCommonWord(symbol);
+
+    let confidence = ambiguous ? BASE_CONFIDENCE.ambiguous : BASE_CONFIDENCE.bare;
+    if (!listed) confidence -= UNLISTED_PENALTY;
+
+    const context = text.slice(Math.max(0, start - this.contextWindow), end + this.contextWindow);
+    if (MARKET_CONTEXT.test(context)) confidence += MARKET_CONTEXT_BOOST;
+    if (this._mentionsCompany(symbol, text)) confidence += COMPANY_NAME_BOOST;
+    if (shouting) confidence /= 2;
+
+    return confidence;
+  }
+
+  /**
+   * Whether the listing's company name or an alias appears in the text
+   * @param {string} symbol
+   * @param {string} text
+   * @returns {boolean}
+   */
+  _mentionsCompany(symbol, text) {
+    const listing = this.symbols.get(symbol);
+    if (!listing) return false;
+
+    const normalizedText = ` ${normalizeName(text)} `;
+    return [listing.name, ...listing.aliases]
+      .map(name => normalizeName(name))
+      .some(name => name.length > 2 && normalizedText.includes(` ${name} `));
+  }
+
+  _isShouting(text) {
+    const words = text.match(/[A-Za-z]+/g) || [];
+    if (words.length < 4) return false;
+    const letters = words.join('');
+    const upper = letters.replace(/[^A-Z]/g, '').length;
+    return upper / letters.length > SHOUTING_RATIO;
+  }
+
+  /**
+   * One candidate per symbol: its strongest mention, nudged up for repeat mentions
+   * @param {Array<Object>} mentions
+   * @returns {Array<Object>}
+   */
+  _merge(mentions) {
+    const bySymbol = new Map();
+    for (const mention of mentions) {
+      const group = bySymbol.get(mention.symbol) || [];
+      group.push(mention);
+      bySymbol.set(mention.symbol, group);
+    }
+
+    return [...bySymbol.values()]
+      .map(group => {
+        const best = group.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+        const boost = Math.min(MAX_MENTION_BOOST, (group.length - 1) * MENTION_BOOST);
+        return this._candidate({
+          ...best,
+          index: group[0].index,
+          exchange: group.map(m => m.exchange).find(Boolean) || null,
+          confidence: best.confidence + boost
+        }, group.length);
+      })
+      .sort((a, b) => b.confidence - a.confidence || a.index - b.index);
+  }
+
+  _candidate(mention, mentions) {
+    const listing = this.symbols.get(mention.symbol);
+    return {
+      symbol: mention.symbol,
+      confidence: Math.round(Math.min(0.99, Math.max(0.01, mention.confidence)) * 100) / 100,
+      source: mention.source,
+      match: mention.match,
+      index: mention.index,
+      mentions,
+      listed: Boolean(listing),
+      exchange: mention.exchange || (listing && listing.exchange) || null
+    };
+  }
+}
+
+module.exports = TickerExtractor;
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watchlist Module
+ * Persistent list of tickers refreshed in the background through the analysis queue. Each refresh
+ * is compared with the last one, and new articles or a change of sentiment label raise an alert
+ */
+
+// Labels that count as a call; 'uncertain' in between doesn't end or start a flip
+const DECISIVE_LABELS = new Set(['positive', 'negative', 'neutral']);
+
+class Watchlist {
+  /**
+   * @param {Object} options
+   * @param {Object} options.analyzer - TickerAnalyzer the refreshes are queued on
+   * @param {string} [options.filePath] - JSON file to persist the list and settings to (none if omitted)
+   * @param {number} [options.interval=900000] - Time between background refreshes in ms
+   * @param {number} [options.minInterval=60000] - Shortest interval a caller may set
+   * @param {number} [options.startDelay=10000] - Wait before the first refresh, so the backend can start
+   * @param {number} [options.maxSeenLinks=200] - Article links remembered per ticker to tell new ones apart
+   */
+  constructor(options = {}) {
+    this.analyzer = options.analyzer;
+    this.filePath = options.filePath || null;
+    this.minInterval = options.minInterval || 60 * 1000;
+    this.startDelay = options.startDelay !== undefined ? options.startDelay : 10 * 1000;
+    this.maxSeenLinks = options.maxSeenLinks || 200;
+    this.settings = {
+      interval: options.interval || 15 * 60 * 1000,
+      notify: true
+    };
+    this.entries = new Map();
+    this.timer = null;
+    this.running = false;
+    this.refreshing = null;
+    this.nextRefreshAt = null;
+    this.saving = Promise.resolve();
+    this.onAlert = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Set callback for alerts
+   * @param {Function} callback - Called with { type: 'new-articles'|'sentiment-flip', ticker, ... }
+   */
+  setAlertCallback(callback) {
+    this.onAlert = callback;
+  }
+
+  /**
+   * Set callback for changes to the list, its settings or a ticker's latest result
+   * @param {Function} callback - Called with the same state getState() returns
+   */
+  setChangeCallback(callback) {
+    this.onChange = callback;
+  }
+
+  /**
+   * Load the saved list and settings
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.assign(this.settings, saved.settings);
+      for (const entry of saved.entries || []) {
+        this.entries.set(entry.ticker, { ...this._createEntry(entry.ticker), ...entry });
+      }
+      console.log(`👀 Loaded ${this.entries.size} watchlist tickers`);
+    } catch (error) {
+      console.error('Error loading watchlist:', error.message);
+    }
+  }
+
+  /**
+   * Write the list and settings to disk (atomically, via a temp file)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.filePath) return;
+
+    const data = { settings: this.settings, entries: Array.from(this.entries.values()) };
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  // Writes go one after another so two saves never share the temp file
+  _persist() {
+    this.saving = this.saving
+      .then(() => this.save())
+      .catch(error => console.error('Error saving watchlist:', error.message));
+  }
+
+  _createEntry(ticker) {
+    return {
+      ticker,
+      addedAt: new Date().toISOString(),
+      checkedAt: null,
+      updatedAt: null,
+      error: null,
+      articleCount: 0,
+      newArticles: 0,
+      sentiment: null,
+      lastCall: null,
+      seenLinks: []
+    };
+  }
+
+  /**
+   * Add a ticker; it is checked right away so later refreshes have something to compare against
+   * @param {string} ticker - Ticker symbol or company name
+   * @returns {Object} { ticker } or { error }
+   */
+  add(ticker) {
+    const symbol = this.analyzer.resolveTicker(ticker) || String(ticker || '').trim().toUpperCase();
+    if (!symbol) {
+      return { error: 'Ticker symbol is required' };
+    }
+    if (this.entries.has(symbol)) {
+      return { ticker: symbol };
+    }
+
+    this.entries.set(symbol, this._createEntry(symbol));
+    this._persist();
+    this._emitChange();
+    this.refresh(symbol);
+    return { ticker: symbol };
+  }
+
+  /**
+   * Stop watching a ticker
+   * @param {string} ticker - Ticker symbol
+   * @returns {boolean} Whether it was on the list
+   */
+  remove(ticker) {
+    const symbol = String(ticker || '').trim().toUpperCase();
+    if (!this.entries.delete(symbol)) return false;
+
+    this._persist();
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Change the refresh interval or turn alerts on and off
+   * @param {Object} changes - { interval, notify }
+   * @returns {Object} { settings } or { error }
+   */
+  updateSettings(changes = {}) {
+    if (changes.interval !== undefined) {
+      const interval = Number(changes.interval);
+      if (!Number.isFinite(interval) || interval < this.minInterval) {
+        return { error: `Refresh interval must be at least ${Math.round(this.minInterval / 1000)} seconds` };
+      }
+      this.settings.interval = interval;
+      if (this.running) this._schedule(interval);
+    }
+    if (changes.notify !== undefined) {
+      this.settings.notify = Boolean(changes.notify);
+    }
+
+    this._persist();
+    this._emitChange();
+    return { settings: { ...this.settings } };
+  }
+
+  /**
+   * Start refreshing in the background
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._schedule(this.startDelay);
+  }
+
+  /**
+   * Stop refreshing in the background (a refresh already under way finishes)
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRefreshAt = null;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.nextRefreshAt = Date.now() + delay;
+    this.timer = setTimeout(async () => {
+      await this.refreshAll();
+      if (this.running) this._schedule(this.settings.interval);
+    }, delay);
+    // Don't keep the process alive just to refresh the watchlist
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Refresh every ticker, one at a time, behind anything the user asked for
+   * @returns {Promise<void>} Resolves when the pass is done (joins a pass already running)
+   */
+  refreshAll() {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        for (const ticker of Array.from(this.entries.keys())) {
+          if (this.entries.has(ticker)) await this.refresh(ticker);
+        }
+      })().finally(() => {
+        this.refreshing = null;
+        this._emitChange();
+      });
+      this._emitChange();
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Analyze one ticker and compare the result with the previous check
+   * @param {string} ticker - Ticker symbol
+   * @returns {Promise<Array<Object>>} Alerts raised by this check
+   */
+  async refresh(ticker) {
+    // Skip the backend's cache: a result cached at the last check would hold back its alerts by an interval
+    const data = await this.analyzer.analyze(ticker, { priority: 'background', origin: 'watchlist', refresh: true });
+
+    const entry = this.entries.get(ticker);
+    if (!entry || data.cancelled) return [];
+
+    const alerts = [];
+    if (data.error) {
+      entry.error = data.error;
+    } else {
+      alerts.push(...this._compare(entry, data));
+      entry.error = null;
+      entry.updatedAt = new Date().toISOString();
+    }
+    entry.checkedAt = new Date().toISOString();
+
+    this._persist();
+    this._emitChange();
+    if (this.settings.notify && this.onAlert) {
+      alerts.forEach(alert => this.onAlert(alert));
+    }
+    return alerts;
+  }
+
+  /**
+   * Record a result on its entry and work out what changed since the last one
+   * Nothing is raised on a ticker's first check, which only sets the baseline
+   * @param {Object} entry - Watchlist entry (updated in place)
+   * @param {Object} data - Analysis result
+   * @returns {Array<Object>} Alerts
+   */
+  _compare(entry, data) {
+    const alerts = [];
+    const baseline = entry.updatedAt !== null;
+    const articles = (data.articles || []).filter(article => article.link);
+    const seen = new Set(entry.seenLinks);
+    const fresh = articles.filter(article => !seen.has(article.link));
+
+    if (baseline && fresh.length > 0) {
+      alerts.push({
+        type: 'new-articles',
+        ticker: entry.ticker,
+        articles: fresh.map(({ title, link, source, publishedAt }) => ({ title, link, source, publishedAt }))
+      });
+    }
+
+    // A failed analysis comes back as a neutral placeholder with an error; it isn't a call, so it
+    // neither flips the label nor replaces the last one
+    const result = data.sentiment;
+    if (result && result.sentiment && !result.error) {
+      if (DECISIVE_LABELS.has(result.sentiment)) {
+        if (entry.lastCall && entry.lastCall !== result.sentiment) {
+          alerts.push({
+            type: 'sentiment-flip',
+            ticker: entry.ticker,
+            from: entry.lastCall,
+            to: result.sentiment,
+            confidence: result.confidence
+          });
+        }
+        entry.lastCall = result.sentiment;
+      }
+      entry.sentiment = { label: result.sentiment, confidence: result.confidence, predicted: result.predicted || null };
+    }
+
+    entry.articleCount = (data.articles || []).length;
+    entry.newArticles = baseline ? fresh.length : 0;
+    // Newest links first, so the oldest are the ones forgotten
+    entry.seenLinks = [...new Set([...articles.map(article => article.link), ...entry.seenLinks])]
+      .slice(0, this.maxSeenLinks);
+    return alerts;
+  }
+
+  /**
+   * Tickers with their latest results, plus the settings and refresh schedule
+   * @returns {Object} { entries, settings, refreshing, nextRefreshAt }
+   */
+  getState() {
+    return {
+      entries: Array.from(this.entries.values()).map(({ seenLinks, ...entry }) => entry),
+      settings: { ...this.settings },
+      refreshing: Boolean(this.refreshing),
+      nextRefreshAt: this.nextRefreshAt ? new Date(this.nextRefreshAt).toISOString() : null
+    };
+  }
+
+  _emitChange() {
+    if (this.onChange) {
+      this.onChange(this.getState());
+    }
+  }
+}
+
+module.exports = Watchlist;
@@ -4,6 +4,11 @@ contextBridge.exposeInMainWorld('popupAPI', {
   onPopupData: (callback) => {
     ipcRenderer.on('popup-data', (event, data) => callback(data));
   },
+  onPopupProgress: (callback) => {
+    ipcRenderer.on('popup-progress', (event, progress) => callback(progress));
+  },
+  getSentimentHistory: (ticker, options) => ipcRenderer.invoke('get-sentiment-history', ticker, options),
+  submitFeedback: (feedback) => ipcRenderer.invoke('submit-feedback', feedback),
   closePopup: () => {
     ipcRenderer.send('close-popup');
   },
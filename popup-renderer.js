@@ -5,15 +5,9 @@ const popupSentiment = document.getElementById('popupSentiment');
 const popupSummary = document.getElementById('popupSummary');
 const popupArticles = document.getElementById('popupArticles');
 
-// Listen for data from main process
-window.popupAPI.onPopupData((data) => {
-    const { ticker, summary, articles, sentiment, metrics } = data;
-    
-    popupTicker.textContent = `${ticker} News`;
-    popupLoading.classList.add('hidden');
-    
-    // Display sentiment
-    if (sentiment && metrics) {
+// Display sentiment
+function renderSentiment(ticker, sentiment) {
+    if (sentiment && !sentiment.error) {
         const sentimentValue = sentiment.sentiment.toLowerCase();
         let sentimentClass = 'neutral';
         let sentimentEmoji = '➡️';
@@ -24,26 +18,55 @@ window.popupAPI.onPopupData((data) => {
         } else if (sentimentValue === 'negative') {
             sentimentClass = 'negative';
             sentimentEmoji = '📉';
+        } else if (sentimentValue === 'uncertain') {
+            sentimentClass = 'uncertain';
+            sentimentEmoji = '❔';
         } else {
             sentimentClass = 'neutral';
             sentimentEmoji = '➡️';
         }
         
+        // An uncertain result still has a most likely label; feedback is about that one
+        const predicted = sentiment.predicted || sentimentValue;
+
         popupSentiment.innerHTML = `
             <div class="sentiment-box-small ${sentimentClass}">
-                <h4>${sentimentEmoji} ${sentiment.sentiment.toUpperCase()} (${(sentiment.confidence * 100).toFixed(1)}%)</h4>
-                <div class="metrics-inline">
-                    <span>A: ${(metrics.accuracy * 100).toFixed(0)}%</span>
-                    <span>P: ${(metrics.precision * 100).toFixed(0)}%</span>
-                    <span>R: ${(metrics.recall * 100).toFixed(0)}%</span>
-                    <span>F1: ${(metrics.f1_score * 100).toFixed(0)}%</span>
-                </div>
+                <h4>${sentimentEmoji} ${sentiment.sentiment.toUpperCase()} (${(sentiment.confidence * 100).toFixed(1)}%) ${renderFeedbackControls('aggregate', predicted)}</h4>
+                ${renderProbabilityBar(sentiment)}
             </div>
+            <div class="sentiment-trend" id="popupSentimentTrend"></div>
         `;
         popupSentiment.classList.remove('hidden');
+        loadSentimentTrend(ticker);
+        renderArticleBadges(sentiment);
+    } else {
+        popupSentiment.classList.add('hidden');
     }
-    
-    // Display summary
+}
+
+// Colored sentiment badge on each article row
+function renderArticleBadges(sentiment) {
+    if (!sentiment || !sentiment.articles) {
+        return;
+    }
+
+    sentiment.articles.forEach(scored => {
+        const item = popupArticles.querySelector(`.article-item-small[data-index="${scored.index}"]`);
+        const slot = item && item.querySelector('.article-badge-slot');
+        if (slot) {
+            const predicted = scored.predicted || scored.sentiment;
+            slot.innerHTML = `
+                <span class="article-sentiment-badge ${scored.sentiment}" title="${describeTerms(scored.terms).replace(/"/g, '&quot;')}">${describeSentimentLabel(scored)} ${(scored.confidence * 100).toFixed(0)}%</span>
+                ${renderFeedbackControls('article', predicted, scored.index)}
+                ${renderProbabilityBar(scored, { legend: false })}
+            `;
+            highlightTerms(item.querySelector('h5'), scored.terms, predicted);
+        }
+    });
+}
+
+// Display summary
+function renderSummary(summary) {
     if (summary) {
         popupSummary.innerHTML = `
             <h4>📊 Summary</h4>
@@ -51,19 +74,81 @@ window.popupAPI.onPopupData((data) => {
         `;
         popupSummary.classList.remove('hidden');
     }
-    
-    // Display articles
+}
+
+// Display articles
+function renderArticles(articles, sentiment) {
+    currentArticles = articles || [];
     if (articles && articles.length > 0) {
-        popupArticles.innerHTML = articles.slice(0, 5).map(article => `
-            <div class="article-item-small">
+        popupArticles.innerHTML = articles.slice(0, 5).map((article, index) => `
+            <div class="article-item-small" data-index="${index}">
+                <div class="article-badge-slot"></div>
                 <h5>${article.title}</h5>
                 <a href="${article.link}" target="_blank">Read more →</a>
             </div>
         `).join('');
         popupArticles.classList.remove('hidden');
+        renderArticleBadges(sentiment);
     }
+}
+
+// Sections already drawn from streamed progress
+const renderedSections = new Set();
+// Ticker and articles on screen, for attaching feedback to the right link
+let currentTicker = null;
+let currentArticles = [];
+
+// Send 👍/👎 and label corrections to the backend's feedback dataset
+bindFeedbackControls(document.body, (controls) => {
+    const article = currentArticles[Number(controls.dataset.index)] || {};
+    return { ticker: currentTicker, link: article.link, title: article.title };
+}, (feedback) => window.popupAPI.submitFeedback(feedback));
+
+// Listen for partial results while the analysis streams in
+window.popupAPI.onPopupProgress(({ ticker, event, data }) => {
+    currentTicker = ticker;
+    popupTicker.textContent = `${ticker} News`;
+    popupLoading.classList.add('hidden');
+
+    if (event === 'articles') {
+        renderArticles(data.articles);
+    } else if (event === 'summary') {
+        renderSummary(data.summary);
+    } else if (event === 'sentiment') {
+        renderSentiment(ticker, data.sentiment);
+    }
+    renderedSections.add(event);
 });
 
+// Listen for data from main process
+window.popupAPI.onPopupData((data) => {
+    const { ticker, summary, articles, sentiment } = data;
+    currentTicker = ticker;
+    
+    popupTicker.textContent = `${ticker} News`;
+    popupLoading.classList.add('hidden');
+    
+    if (!renderedSections.has('sentiment')) {
+        renderSentiment(ticker, sentiment);
+    }
+    if (!renderedSections.has('summary')) {
+        renderSummary(summary);
+    }
+    if (!renderedSections.has('articles')) {
+        renderArticles(articles, sentiment);
+    }
+});
+
+// Draw the hourly sentiment trend under the sentiment box
+async function loadSentimentTrend(ticker) {
+    const history = await window.popupAPI.getSentimentHistory(ticker, { bucket: 'hour', window: '48h' });
+    const trend = document.getElementById('popupSentimentTrend');
+    if (!trend || history.error) {
+        return;
+    }
+    trend.innerHTML = renderSentimentSparkline(history.series, { width: 160, height: 24 });
+}
+
 // Close button
 closePopupBtn.addEventListener('click', (e) => {
     e.preventDefault();
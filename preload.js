@@ -3,6 +3,21 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   getClipboard: () => ipcRenderer.invoke('get-clipboard'),
   analyzeTicker: (ticker) => ipcRenderer.invoke('analyze-ticker', ticker),
+  analyzeText: (text) => ipcRenderer.invoke('analyze-text', text),
+  analyzeTickerStream: (ticker, requestId) => ipcRenderer.invoke('analyze-ticker-stream', ticker, requestId),
+  getAnalysisQueue: () => ipcRenderer.invoke('get-analysis-queue'),
+  cancelAnalysis: (ticker) => ipcRenderer.invoke('cancel-analysis', ticker),
+  getWatchlist: () => ipcRenderer.invoke('get-watchlist'),
+  addToWatchlist: (ticker) => ipcRenderer.invoke('watchlist-add', ticker),
+  removeFromWatchlist: (ticker) => ipcRenderer.invoke('watchlist-remove', ticker),
+  refreshWatchlist: () => ipcRenderer.invoke('watchlist-refresh'),
+  updateWatchlistSettings: (changes) => ipcRenderer.invoke('watchlist-settings', changes),
+  getSentimentHistory: (ticker, options) => ipcRenderer.invoke('get-sentiment-history', ticker, options),
+  submitFeedback: (feedback) => ipcRenderer.invoke('submit-feedback', feedback),
+  getModelMetrics: () => ipcRenderer.invoke('get-model-metrics'),
+  getAlertRules: () => ipcRenderer.invoke('get-alert-rules'),
+  saveAlertRule: (rule) => ipcRenderer.invoke('save-alert-rule', rule),
+  deleteAlertRule: (id) => ipcRenderer.invoke('delete-alert-rule', id),
   toggleWatchMode: () => ipcRenderer.invoke('toggle-watch-mode'),
   getWatchMode: () => ipcRenderer.invoke('get-watch-mode'),
   hideOverlay: () => ipcRenderer.send('hide-overlay'),
@@ -11,6 +26,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onTickerCaptured: (callback) => {
     ipcRenderer.on('ticker-captured', (event, ticker) => callback(ticker));
   },
+  onTextCaptured: (callback) => {
+    ipcRenderer.on('text-captured', (event, text) => callback(text));
+  },
+  onAnalysisProgress: (callback) => {
+    ipcRenderer.on('analysis-progress', (event, progress) => callback(progress));
+  },
+  onAnalysisQueue: (callback) => {
+    ipcRenderer.on('analysis-queue', (event, change) => callback(change));
+  },
+  onWatchlistChanged: (callback) => {
+    ipcRenderer.on('watchlist-changed', (event, state) => callback(state));
+  },
   onWatchModeChanged: (callback) => {
     ipcRenderer.on('watch-mode-changed', (event, enabled) => callback(enabled));
   }
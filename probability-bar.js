@@ -0,0 +1,31 @@
+// Stacked negative/neutral/positive probability bar shared by the overlay and the popup
+// Shows the full distribution, so a 40/35/25 split reads differently from a 90/5/5 one
+
+const PROBABILITY_LABELS = [['negative', 'NEG'], ['neutral', 'NEU'], ['positive', 'POS']];
+
+function renderProbabilityBar(prediction, { legend = true } = {}) {
+    const segments = PROBABILITY_LABELS.map(([label, short]) => {
+        const percent = (prediction[`probability_${label}`] || 0) * 100;
+        return { label, short, percent };
+    });
+
+    return `
+        <div class="probability-bar" title="${segments.map(s => `${s.short} ${s.percent.toFixed(1)}%`).join(' · ')}">
+            ${segments.map(s => `<span class="probability-segment ${s.label}" style="width: ${s.percent.toFixed(1)}%"></span>`).join('')}
+        </div>
+        ${legend ? `
+            <div class="probability-legend">
+                ${segments.map(s => `<span class="${s.label}">${s.short} ${s.percent.toFixed(0)}%</span>`).join('')}
+            </div>
+        ` : ''}
+    `;
+}
+
+// Badge text for a sentiment label, including 'uncertain' with the model's leaning
+function describeSentimentLabel(prediction) {
+    const labels = { positive: '▲ POS', negative: '▼ NEG', neutral: '• NEU' };
+    if (prediction.sentiment === 'uncertain') {
+        return `? ${labels[prediction.predicted] ? labels[prediction.predicted].slice(2) : ''}`.trim();
+    }
+    return labels[prediction.sentiment] || prediction.sentiment;
+}
@@ -10,6 +10,23 @@ const summary = document.getElementById('summary');
 const articles = document.getElementById('articles');
 const watchModeToggle = document.getElementById('watchModeToggle');
 const watchModeStatus = document.getElementById('watchModeStatus');
+const diagnosticsToggle = document.getElementById('diagnosticsToggle');
+const diagnostics = document.getElementById('diagnostics');
+const alertRulesToggle = document.getElementById('alertRulesToggle');
+const alertRulesPanel = document.getElementById('alertRules');
+const content = document.getElementById('content');
+const modeTabs = document.querySelectorAll('.mode-tab');
+const textInput = document.getElementById('textInput');
+const scoreTextBtn = document.getElementById('scoreTextBtn');
+const textResults = document.getElementById('textResults');
+const analysisQueue = document.getElementById('analysisQueue');
+const watchlistInput = document.getElementById('watchlistInput');
+const watchlistAddBtn = document.getElementById('watchlistAddBtn');
+const watchlistRefreshBtn = document.getElementById('watchlistRefreshBtn');
+const watchlistEntries = document.getElementById('watchlistEntries');
+const watchlistInterval = document.getElementById('watchlistInterval');
+const watchlistNotify = document.getElementById('watchlistNotify');
+const watchlistStatus = document.getElementById('watchlistStatus');
 
 // Initialize watch mode status
 window.electronAPI.getWatchMode().then(enabled => {
@@ -31,7 +48,7 @@ window.electronAPI.onWatchModeChanged((enabled) => {
 
 function updateWatchModeStatus(enabled) {
     if (enabled) {
-        watchModeStatus.textContent = 'Active - Copy tickers to analyze!';
+        watchModeStatus.textContent = 'Active - Copy tickers or text to analyze!';
         watchModeStatus.classList.add('active');
     } else {
         watchModeStatus.textContent = 'Off';
@@ -39,15 +56,422 @@ function updateWatchModeStatus(enabled) {
     }
 }
 
+// Analyses waiting or running, from the overlay, watch mode and shortcuts alike
+function renderAnalysisQueue(queue) {
+    analysisQueue.classList.toggle('hidden', queue.length === 0);
+    if (queue.length === 0) {
+        analysisQueue.innerHTML = '';
+        return;
+    }
+
+    analysisQueue.innerHTML = `
+        <div class="analysis-queue-heading">Analysis queue</div>
+        ${queue.map(job => `
+            <div class="analysis-queue-item ${job.status}">
+                <span class="analysis-queue-ticker">${job.ticker}</span>
+                <span class="analysis-queue-status">${describeJobStatus(job)}</span>
+                ${job.priority === 'watch' ? '<span class="analysis-queue-tag">watch</span>' : ''}
+                ${job.priority === 'background' ? '<span class="analysis-queue-tag">watchlist</span>' : ''}
+                <button class="analysis-queue-cancel" data-ticker="${job.ticker}" title="Cancel">×</button>
+            </div>
+        `).join('')}
+    `;
+}
+
+function describeJobStatus(job) {
+    if (job.status === 'running') {
+        return job.attempt > 1 ? `Running (attempt ${job.attempt})` : 'Running';
+    }
+    if (job.status === 'retrying') {
+        const seconds = Math.max(0, Math.ceil((new Date(job.retryAt) - Date.now()) / 1000));
+        return `Retrying in ${seconds}s`;
+    }
+    return 'Waiting';
+}
+
+window.electronAPI.getAnalysisQueue().then(renderAnalysisQueue);
+window.electronAPI.onAnalysisQueue(({ queue }) => renderAnalysisQueue(queue));
+
+analysisQueue.addEventListener('click', (e) => {
+    const button = e.target.closest('.analysis-queue-cancel');
+    if (button) {
+        window.electronAPI.cancelAnalysis(button.dataset.ticker);
+    }
+});
+
+// Watched tickers with their latest sentiment and how many articles are new since the check before
+function renderWatchlist(state) {
+    if (state.entries.length === 0) {
+        watchlistEntries.innerHTML = '<p class="watchlist-empty">Add tickers to get an alert when they have news.</p>';
+    } else {
+        watchlistEntries.innerHTML = state.entries.map(entry => `
+            <div class="watchlist-entry${entry.error ? ' failed' : ''}" data-ticker="${entry.ticker}">
+                <span class="watchlist-ticker" title="Analyze ${entry.ticker}">${entry.ticker}</span>
+                <span class="watchlist-sentiment">${entry.sentiment
+                    ? `<span class="article-sentiment-badge ${entry.sentiment.label}">${describeSentimentLabel({ sentiment: entry.sentiment.label, predicted: entry.sentiment.predicted })}</span>`
+                    : ''}</span>
+                <span class="watchlist-detail" title="${entry.error ? escapeHtml(entry.error) : ''}">${describeWatchlistEntry(entry)}</span>
+                <button class="watchlist-remove" data-ticker="${entry.ticker}" title="Stop watching">×</button>
+            </div>
+        `).join('');
+    }
+
+    watchlistInterval.value = String(state.settings.interval);
+    watchlistNotify.checked = state.settings.notify;
+    watchlistRefreshBtn.disabled = state.refreshing;
+    if (state.refreshing) {
+        watchlistStatus.textContent = 'Refreshing...';
+    } else if (state.nextRefreshAt && state.entries.length > 0) {
+        const minutes = Math.max(1, Math.round((new Date(state.nextRefreshAt) - Date.now()) / 60000));
+        watchlistStatus.textContent = `Next refresh in ${minutes} min`;
+    } else {
+        watchlistStatus.textContent = '';
+    }
+}
+
+function describeWatchlistEntry(entry) {
+    if (entry.error) {
+        return '⚠️ Check failed';
+    }
+    if (!entry.checkedAt) {
+        return 'Checking...';
+    }
+    const checked = new Date(entry.checkedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const fresh = entry.newArticles > 0 ? `<strong>${entry.newArticles} new</strong> · ` : '';
+    return `${fresh}${entry.articleCount} articles · ${checked}`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+async function addToWatchlist() {
+    const ticker = watchlistInput.value.trim();
+    if (!ticker) {
+        return;
+    }
+    const result = await window.electronAPI.addToWatchlist(ticker);
+    if (result.error) {
+        watchlistStatus.textContent = `❌ ${result.error}`;
+        return;
+    }
+    watchlistInput.value = '';
+}
+
+window.electronAPI.getWatchlist().then(renderWatchlist);
+window.electronAPI.onWatchlistChanged(renderWatchlist);
+
+watchlistAddBtn.addEventListener('click', addToWatchlist);
+
+watchlistInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        addToWatchlist();
+    }
+});
+
+watchlistEntries.addEventListener('click', (e) => {
+    const removeButton = e.target.closest('.watchlist-remove');
+    if (removeButton) {
+        window.electronAPI.removeFromWatchlist(removeButton.dataset.ticker);
+        return;
+    }
+    const ticker = e.target.closest('.watchlist-ticker');
+    if (ticker) {
+        setInputMode('ticker');
+        tickerInput.value = ticker.textContent;
+        analyzeTicker(ticker.textContent);
+    }
+});
+
+watchlistRefreshBtn.addEventListener('click', () => {
+    window.electronAPI.refreshWatchlist();
+});
+
+watchlistInterval.addEventListener('change', () => {
+    window.electronAPI.updateWatchlistSettings({ interval: Number(watchlistInterval.value) });
+});
+
+watchlistNotify.addEventListener('change', () => {
+    window.electronAPI.updateWatchlistSettings({ notify: watchlistNotify.checked });
+});
+
+// Alert rules panel - rules are kept and evaluated by the backend, reloaded each time it opens
+let alertRulesState = { rules: [], actions: [] };
+
+alertRulesToggle.addEventListener('click', () => {
+    alertRulesPanel.classList.toggle('hidden');
+    if (!alertRulesPanel.classList.contains('hidden')) {
+        loadAlertRules();
+    }
+});
+
+async function loadAlertRules() {
+    renderPending(alertRulesPanel, 'Loading alert rules...');
+    const response = await window.electronAPI.getAlertRules();
+    if (response.error) {
+        alertRulesPanel.innerHTML = `<p class="alert-rules-note">Couldn't load alert rules: ${escapeHtml(response.error)}</p>`;
+        return;
+    }
+    alertRulesState = response;
+    renderAlertRules();
+}
+
+function renderAlertRules() {
+    const { rules, actions } = alertRulesState;
+    const describeAction = name => (actions.find(action => action.name === name) || { description: name }).description;
+
+    alertRulesPanel.innerHTML = `
+        ${rules.length === 0 ? '<p class="alert-rules-note">No rules yet. A rule fires when all of its conditions hold for a fresh analysis.</p>' : ''}
+        ${rules.map(rule => `
+            <div class="alert-rule${rule.enabled ? '' : ' disabled'}" data-id="${escapeHtml(rule.id)}">
+                <input type="checkbox" class="alert-rule-enabled" title="Enabled" ${rule.enabled ? 'checked' : ''}>
+                <div class="alert-rule-body">
+                    <strong>${escapeHtml(rule.name)}</strong>
+                    <div class="alert-rule-when">${rule.when.map(escapeHtml).join('<br>')}</div>
+                    <div class="alert-rule-meta">
+                        ${rule.tickers.length > 0 ? escapeHtml(rule.tickers.join(', ')) : 'All tickers'}
+                        · ${rule.actions.map(describeAction).map(escapeHtml).join(', ')}
+                        · at most every ${rule.cooldownMinutes} min
+                    </div>
+                </div>
+                <button class="alert-rule-edit">Edit</button>
+                <button class="alert-rule-delete" title="Delete">×</button>
+            </div>
+        `).join('')}
+        <div class="alert-rules-actions">
+            <button class="alert-rule-new">+ New rule</button>
+        </div>
+    `;
+}
+
+// Add or edit form; conditions are one per line and must all hold
+function renderAlertRuleForm(rule) {
+    const editing = rule || { name: '', when: [], tickers: [], actions: ['notification'], cooldownMinutes: 60, enabled: true };
+
+    alertRulesPanel.innerHTML = `
+        <form class="alert-rule-form">
+            <label>Name
+                <input type="text" name="name" value="${escapeHtml(editing.name)}" placeholder="Legal trouble">
+            </label>
+            <label>Conditions, one per line
+                <textarea name="when" rows="4" placeholder="sentiment = negative&#10;confidence > 0.8&#10;headline contains lawsuit|SEC|recall&#10;new articles in 1h > 5">${escapeHtml(editing.when.join('\n'))}</textarea>
+            </label>
+            <p class="alert-rules-note">Fields: ${alertRulesState.fields.join(', ')}. Operators: ${alertRulesState.operators.map(escapeHtml).join(' ')}</p>
+            <label>Tickers (blank for all)
+                <input type="text" name="tickers" value="${escapeHtml(editing.tickers.join(', '))}" placeholder="AAPL, MSFT">
+            </label>
+            <label>Actions</label>
+            ${alertRulesState.actions.map(action => `
+                <span class="alert-rule-action-choice">
+                    <input type="checkbox" name="actions" value="${escapeHtml(action.name)}" ${editing.actions.includes(action.name) ? 'checked' : ''}>
+                    ${escapeHtml(action.description)}
+                </span>
+            `).join('')}
+            <label>Fire at most every (minutes, per ticker)
+                <input type="number" name="cooldownMinutes" min="0" value="${editing.cooldownMinutes}">
+            </label>
+            <p class="alert-rules-error hidden"></p>
+            <div class="alert-rules-actions">
+                <button type="submit">Save</button>
+                <button type="button" class="alert-rule-cancel">Cancel</button>
+            </div>
+        </form>
+    `;
+
+    const form = alertRulesPanel.querySelector('.alert-rule-form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const response = await window.electronAPI.saveAlertRule({
+            id: rule ? rule.id : undefined,
+            name: form.elements.name.value,
+            when: form.elements.when.value.split('\n').map(line => line.trim()).filter(Boolean),
+            tickers: form.elements.tickers.value.split(',').map(ticker => ticker.trim()).filter(Boolean),
+            actions: [...form.querySelectorAll('input[name="actions"]:checked')].map(input => input.value),
+            cooldownMinutes: Number(form.elements.cooldownMinutes.value),
+            enabled: editing.enabled
+        });
+        if (response.error) {
+            const errorLine = form.querySelector('.alert-rules-error');
+            errorLine.textContent = response.error;
+            errorLine.classList.remove('hidden');
+            return;
+        }
+        loadAlertRules();
+    });
+}
+
+alertRulesPanel.addEventListener('click', async (e) => {
+    if (e.target.closest('.alert-rule-new')) {
+        renderAlertRuleForm(null);
+        return;
+    }
+    if (e.target.closest('.alert-rule-cancel')) {
+        renderAlertRules();
+        return;
+    }
+
+    const row = e.target.closest('.alert-rule');
+    if (!row) {
+        return;
+    }
+    const rule = alertRulesState.rules.find(r => r.id === row.dataset.id);
+    if (e.target.closest('.alert-rule-edit')) {
+        renderAlertRuleForm(rule);
+    } else if (e.target.closest('.alert-rule-delete')) {
+        await window.electronAPI.deleteAlertRule(rule.id);
+        loadAlertRules();
+    }
+});
+
+alertRulesPanel.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('alert-rule-enabled')) {
+        return;
+    }
+    const row = e.target.closest('.alert-rule');
+    await window.electronAPI.saveAlertRule({ id: row.dataset.id, enabled: e.target.checked });
+    loadAlertRules();
+});
+
+// Model diagnostics panel - reloaded each time it opens, so a retrain shows up
+diagnosticsToggle.addEventListener('click', () => {
+    diagnostics.classList.toggle('hidden');
+    if (!diagnostics.classList.contains('hidden')) {
+        loadDiagnostics();
+    }
+});
+
+async function loadDiagnostics() {
+    renderPending(diagnostics, 'Loading model metrics...');
+    const report = await window.electronAPI.getModelMetrics();
+    if (report.error || !report.metrics) {
+        diagnostics.innerHTML = `<p class="diagnostics-note">Couldn't load model metrics${report.error ? `: ${escapeHtml(report.error)}` : ''}</p>`;
+        return;
+    }
+    renderDiagnostics(report);
+}
+
+// Cross-validated scores, per-class metrics and confusion matrix for the model in use
+function renderDiagnostics({ backend, active, metrics }) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const scores = [['accuracy', 'Accuracy'], ['precision', 'Precision'], ['recall', 'Recall'], ['f1_score', 'F1 Score']];
+
+    let method = 'Single train/test split - retrain for cross-validated scores';
+    if (metrics.cv) {
+        method = `${metrics.folds}-fold cross-validation (mean ± std)`;
+    } else if (backend === 'lexicon') {
+        method = 'Scored on the labeled training sentences';
+    }
+
+    let html = `
+        <p class="diagnostics-note">
+            Engine: ${backend}${backend !== 'lexicon' ? ` · model ${escapeHtml(active)}` : ''}${metrics.samples ? ` · ${metrics.samples} sentences` : ''}
+        </p>
+        <p class="diagnostics-note">${method}</p>
+        <div class="metrics-grid">
+            ${scores.map(([key, label]) => `
+                <div class="metric-item">
+                    <span class="metric-label">${label}:</span>
+                    <span class="metric-value">${metrics.cv
+                        ? `${percent(metrics.cv[key].mean)} <small>± ${percent(metrics.cv[key].std)}</small>`
+                        : percent(metrics[key])}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    if (metrics.per_class) {
+        html += `
+            <h5 class="diagnostics-heading">Per class</h5>
+            <table class="diagnostics-table">
+                <tr><th></th><th>Precision</th><th>Recall</th><th>F1</th><th>Support</th></tr>
+                ${Object.entries(metrics.per_class).map(([label, m]) => `
+                    <tr class="${label === 'negative' ? 'focus' : ''}">
+                        <th class="${label}">${label}</th>
+                        <td>${percent(m.precision)}</td>
+                        <td>${percent(m.recall)}</td>
+                        <td>${percent(m.f1_score)}</td>
+                        <td>${m.support}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    if (metrics.confusion_matrix) {
+        const { labels, matrix } = metrics.confusion_matrix;
+        html += `
+            <h5 class="diagnostics-heading">Confusion matrix <span>(rows: actual, columns: predicted)</span></h5>
+            <table class="diagnostics-table confusion-matrix">
+                <tr><th></th>${labels.map(label => `<th class="${label}">${label}</th>`).join('')}</tr>
+                ${matrix.map((row, i) => {
+                    const total = row.reduce((sum, n) => sum + n, 0);
+                    return `
+                        <tr>
+                            <th class="${labels[i]}">${labels[i]}</th>
+                            ${row.map((count, j) => `<td class="${i === j ? 'diagonal' : ''}" title="${total ? percent(count / total) : '0%'} of actual ${labels[i]}">${count}</td>`).join('')}
+                        </tr>
+                    `;
+                }).join('')}
+            </table>
+        `;
+    }
+
+    if (metrics.calibration) {
+        html += renderReliabilityDiagram(metrics.calibration);
+    }
+
+    diagnostics.innerHTML = html;
+}
+
+// Predicted confidence vs. observed accuracy per confidence bin; a calibrated model follows the diagonal
+function renderReliabilityDiagram(calibration, size = 180) {
+    const pad = 24;
+    const plot = size - pad - 8;
+    const toX = value => pad + value * plot;
+    const toY = value => 8 + (1 - value) * plot;
+
+    const curves = [
+        ['uncalibrated', calibration.method ? 'Before calibration' : 'Uncalibrated'],
+        ['calibrated', `After ${calibration.method === 'sigmoid' ? 'Platt' : calibration.method} calibration`]
+    ].filter(([key]) => calibration[key]);
+
+    const lines = curves.map(([key]) => {
+        const points = calibration[key].bins
+            .filter(bin => bin.count > 0)
+            .map(bin => `${toX(bin.confidence).toFixed(1)},${toY(bin.accuracy).toFixed(1)}`);
+        return `<polyline class="reliability-line ${key}" points="${points.join(' ')}"></polyline>`;
+    }).join('');
+
+    return `
+        <h5 class="diagnostics-heading">Reliability <span>(confidence vs. accuracy)</span></h5>
+        <div class="reliability">
+            <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+                <rect class="reliability-frame" x="${pad}" y="8" width="${plot}" height="${plot}"></rect>
+                <line class="reliability-diagonal" x1="${toX(0)}" y1="${toY(0)}" x2="${toX(1)}" y2="${toY(1)}"></line>
+                ${lines}
+                <text x="${pad}" y="${size - 2}">0</text>
+                <text x="${size - 8}" y="${size - 2}" text-anchor="end">1</text>
+                <text x="${pad - 4}" y="16" text-anchor="end">1</text>
+            </svg>
+            <ul class="reliability-legend">
+                ${curves.map(([key, label]) => `
+                    <li class="${key}">${label}<br><small>ECE ${(calibration[key].ece * 100).toFixed(1)}% · Brier ${calibration[key].brier.toFixed(3)}</small></li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
 // Listen for ticker captured from clipboard shortcut
 window.electronAPI.onTickerCaptured((ticker) => {
+    setInputMode('ticker');
     tickerInput.value = ticker;
     analyzeTicker(ticker);
 });
 
 // Handle analyze button click
 analyzeBtn.addEventListener('click', () => {
-    const ticker = tickerInput.value.trim().toUpperCase();
+    const ticker = tickerInput.value.trim();
     if (ticker) {
         analyzeTicker(ticker);
     }
@@ -56,7 +480,7 @@ analyzeBtn.addEventListener('click', () => {
 // Handle Enter key in input
 tickerInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
-        const ticker = tickerInput.value.trim().toUpperCase();
+        const ticker = tickerInput.value.trim();
         if (ticker) {
             analyzeTicker(ticker);
         }
@@ -82,6 +506,10 @@ function makeTickersClickable(container) {
         if (element.tagName === 'A' || element.tagName === 'BUTTON') {
             return;
         }
+        // Sentiment badges say POS/NEG/NEU, which would look like tickers
+        if (element.classList && element.classList.contains('article-badge-slot')) {
+            return;
+        }
         
         // Process child nodes
         Array.from(element.childNodes).forEach(child => {
@@ -149,112 +577,225 @@ function makeTickersClickable(container) {
     console.log('Finished making tickers clickable');
 }
 
+// Draw the hourly sentiment trend under the sentiment box
+async function loadSentimentTrend(ticker) {
+    const history = await window.electronAPI.getSentimentHistory(ticker, { bucket: 'hour', window: '48h' });
+    const trend = document.getElementById('sentimentTrend');
+    if (!trend || history.error) {
+        return;
+    }
+    trend.innerHTML = renderSentimentSparkline(history.series);
+}
+
+// Display sentiment analysis
+function renderSentiment(ticker, data) {
+    if (data.sentiment && !data.sentiment.error) {
+        const sentimentValue = data.sentiment.sentiment.toLowerCase();
+        let sentimentClass = 'neutral';
+        let sentimentEmoji = '➡️';
+        let sentimentColor = '#f59e0b';
+        
+        if (sentimentValue === 'positive') {
+            sentimentClass = 'positive';
+            sentimentEmoji = '📈';
+            sentimentColor = '#10b981';
+        } else if (sentimentValue === 'negative') {
+            sentimentClass = 'negative';
+            sentimentEmoji = '📉';
+            sentimentColor = '#ef4444';
+        } else if (sentimentValue === 'uncertain') {
+            sentimentClass = 'uncertain';
+            sentimentEmoji = '❔';
+            sentimentColor = '#9ca3af';
+        } else {
+            sentimentClass = 'neutral';
+            sentimentEmoji = '➡️';
+            sentimentColor = '#f59e0b';
+        }
+        
+        // An uncertain result still has a most likely label; feedback is about that one
+        const predicted = data.sentiment.predicted || sentimentValue;
+        const leaning = sentimentValue === 'uncertain'
+            ? ` · leaning ${predicted}, below the ${(data.sentiment.abstainThreshold * 100).toFixed(0)}% threshold`
+            : '';
+
+        sentiment.innerHTML = `
+            <div class="sentiment-box ${sentimentClass}">
+                <div class="sentiment-header">
+                    <h4>${sentimentEmoji} Sentiment: <span style="color: ${sentimentColor}">${data.sentiment.sentiment.toUpperCase()}</span></h4>
+                    <p class="sentiment-confidence">Confidence: ${(data.sentiment.confidence * 100).toFixed(1)}%${leaning}</p>
+                    ${renderProbabilityBar(data.sentiment)}
+                    <div class="sentiment-feedback">Right call? ${renderFeedbackControls('aggregate', predicted)}</div>
+                </div>
+            </div>
+            <div class="sentiment-trend" id="sentimentTrend"></div>
+        `;
+        loadSentimentTrend(ticker);
+        renderArticleBadges(data.sentiment);
+    } else {
+        sentiment.innerHTML = '';
+    }
+}
+
+// Colored sentiment badge on each article row
+function renderArticleBadges(sentimentResult) {
+    if (!sentimentResult || !sentimentResult.articles) {
+        return;
+    }
+
+    sentimentResult.articles.forEach(scored => {
+        const item = articles.querySelector(`.article-item[data-index="${scored.index}"]`);
+        const slot = item && item.querySelector('.article-badge-slot');
+        if (slot) {
+            const predicted = scored.predicted || scored.sentiment;
+            const tooltip = [`Weight in aggregate: ${scored.weight}`, describeTerms(scored.terms)].filter(Boolean).join('\n');
+            slot.innerHTML = `
+                <span class="article-sentiment-badge ${scored.sentiment}" title="${tooltip.replace(/"/g, '&quot;')}">${describeSentimentLabel(scored)} ${(scored.confidence * 100).toFixed(0)}%</span>
+                ${renderFeedbackControls('article', predicted, scored.index)}
+                ${renderProbabilityBar(scored, { legend: false })}
+            `;
+            highlightTerms(item.querySelector('h5'), scored.terms, predicted);
+        }
+    });
+}
+
+// Display summary
+function renderSummary(data) {
+    summary.innerHTML = `
+        <div class="summary-box">
+            <h4>📊 Summary</h4>
+            <p>${data.summary || 'No summary available'}</p>
+        </div>
+    `;
+    
+    // Make tickers in summary clickable too (wait a bit for DOM to update)
+    setTimeout(() => {
+        console.log('Making summary tickers clickable...');
+        makeTickersClickable(summary);
+    }, 100);
+}
+
+// Display articles
+function renderArticles(data) {
+    currentArticles = data.articles || [];
+    if (data.articles && data.articles.length > 0) {
+        articles.innerHTML = `
+            <div class="articles-list">
+                ${data.articles.map((article, index) => `
+                    <div class="article-item" data-index="${index}">
+                        <div class="article-badge-slot"></div>
+                        <h5>${article.title}</h5>
+                        <a href="${article.link}" target="_blank">Read more →</a>
+                        ${article.date ? `<div class="article-date">${article.date}</div>` : ''}
+                        ${article.duplicateCount ? `<div class="article-copies">Also reported by ${article.duplicateCount} other source${article.duplicateCount > 1 ? 's' : ''}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        renderArticleBadges(data.sentiment);
+        
+        // Make ticker symbols in article titles clickable (wait a bit for DOM to update)
+        setTimeout(() => {
+            console.log('Making article tickers clickable...');
+            makeTickersClickable(articles);
+        }, 100);
+    } else {
+        articles.innerHTML = '<p>No articles found.</p>';
+    }
+}
+
+// Placeholder for a section that hasn't streamed in yet
+function renderPending(container, label) {
+    container.innerHTML = `<div class="section-pending"><div class="spinner-inline"></div>${label}</div>`;
+}
+
+// Each analysis gets an id so late events from a previous ticker are ignored
+let activeRequestId = 0;
+let activeTicker = null;
+let renderedSections = new Set();
+// Articles on screen, for attaching feedback to the right link
+let currentArticles = [];
+
+// Send 👍/👎 and label corrections to the backend's feedback dataset
+bindFeedbackControls(results, (controls) => {
+    const article = currentArticles[Number(controls.dataset.index)] || {};
+    return { ticker: activeTicker, link: article.link, title: article.title };
+}, (feedback) => window.electronAPI.submitFeedback(feedback));
+
+// Render sections as the streaming analysis delivers them
+window.electronAPI.onAnalysisProgress(({ requestId, event, data }) => {
+    if (requestId !== activeRequestId) {
+        return;
+    }
+
+    // The backend resolves company names and share-class spellings ("Nvidia" -> NVDA)
+    if (data && data.ticker) {
+        activeTicker = data.ticker;
+    }
+
+    if (renderedSections.size === 0) {
+        // First section landed: swap the spinner for the results panel
+        loading.classList.add('hidden');
+        tickerTitle.textContent = `${activeTicker} News Summary`;
+        renderPending(sentiment, 'Analyzing sentiment...');
+        renderPending(summary, 'Writing summary...');
+        renderPending(articles, 'Fetching articles...');
+        results.classList.remove('hidden');
+    }
+
+    if (event === 'articles') {
+        renderArticles(data);
+    } else if (event === 'summary') {
+        renderSummary(data);
+    } else if (event === 'sentiment') {
+        renderSentiment(activeTicker, data);
+    }
+    renderedSections.add(event);
+});
+
 async function analyzeTicker(ticker) {
     // Hide previous results and errors
     results.classList.add('hidden');
     error.classList.add('hidden');
     loading.classList.remove('hidden');
 
+    const requestId = ++activeRequestId;
+    activeTicker = ticker;
+    renderedSections = new Set();
+
     try {
-        const data = await window.electronAPI.analyzeTicker(ticker);
+        const data = await window.electronAPI.analyzeTickerStream(ticker, requestId);
+
+        if (requestId !== activeRequestId) {
+            return;
+        }
         
         loading.classList.add('hidden');
 
+        if (data.cancelled) {
+            results.classList.add('hidden');
+            return;
+        }
+
         if (data.error) {
+            results.classList.add('hidden');
             error.textContent = `Error: ${data.error}`;
             error.classList.remove('hidden');
             return;
         }
 
-        // Display results
-        tickerTitle.textContent = `${ticker} News Summary`;
-        
-        // Display sentiment analysis
-        if (data.sentiment && data.metrics) {
-            const sentimentValue = data.sentiment.sentiment.toLowerCase();
-            let sentimentClass = 'neutral';
-            let sentimentEmoji = '➡️';
-            let sentimentColor = '#f59e0b';
-            
-            if (sentimentValue === 'positive') {
-                sentimentClass = 'positive';
-                sentimentEmoji = '📈';
-                sentimentColor = '#10b981';
-            } else if (sentimentValue === 'negative') {
-                sentimentClass = 'negative';
-                sentimentEmoji = '📉';
-                sentimentColor = '#ef4444';
-            } else {
-                sentimentClass = 'neutral';
-                sentimentEmoji = '➡️';
-                sentimentColor = '#f59e0b';
-            }
-            
-            sentiment.innerHTML = `
-                <div class="sentiment-box ${sentimentClass}">
-                    <div class="sentiment-header">
-                        <h4>${sentimentEmoji} Sentiment: <span style="color: ${sentimentColor}">${data.sentiment.sentiment.toUpperCase()}</span></h4>
-                        <p class="sentiment-confidence">Confidence: ${(data.sentiment.confidence * 100).toFixed(1)}%</p>
-                    </div>
-                    <div class="metrics-grid">
-                        <div class="metric-item">
-                            <span class="metric-label">Accuracy:</span>
-                            <span class="metric-value">${(data.metrics.accuracy * 100).toFixed(1)}%</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Precision:</span>
-                            <span class="metric-value">${(data.metrics.precision * 100).toFixed(1)}%</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Recall:</span>
-                            <span class="metric-value">${(data.metrics.recall * 100).toFixed(1)}%</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">F1 Score:</span>
-                            <span class="metric-value">${(data.metrics.f1_score * 100).toFixed(1)}%</span>
-                        </div>
-                    </div>
-                </div>
-            `;
-        } else {
-            sentiment.innerHTML = '';
+        // Display results (anything that didn't stream in)
+        activeTicker = data.ticker || ticker;
+        tickerTitle.textContent = `${activeTicker} News Summary`;
+        if (!renderedSections.has('sentiment')) {
+            renderSentiment(activeTicker, data);
         }
-        
-        // Display summary
-        summary.innerHTML = `
-            <div class="summary-box">
-                <h4>📊 Summary</h4>
-                <p>${data.summary || 'No summary available'}</p>
-            </div>
-        `;
-        
-        // Make tickers in summary clickable too (wait a bit for DOM to update)
-        setTimeout(() => {
-            console.log('Making summary tickers clickable...');
-            makeTickersClickable(summary);
-        }, 100);
-
-        // Display articles
-        if (data.articles && data.articles.length > 0) {
-            articles.innerHTML = `
-                <div class="articles-list">
-                    ${data.articles.map(article => `
-                        <div class="article-item">
-                            <h5>${article.title}</h5>
-                            <a href="${article.link}" target="_blank">Read more →</a>
-                            ${article.date ? `<div class="article-date">${article.date}</div>` : ''}
-                        </div>
-                    `).join('')}
-                </div>
-            `;
-            
-            // Make ticker symbols in article titles clickable (wait a bit for DOM to update)
-            setTimeout(() => {
-                console.log('Making article tickers clickable...');
-                makeTickersClickable(articles);
-            }, 100);
-        } else {
-            articles.innerHTML = '<p>No articles found.</p>';
+        if (!renderedSections.has('summary')) {
+            renderSummary(data);
+        }
+        if (!renderedSections.has('articles')) {
+            renderArticles(data);
         }
 
         results.classList.remove('hidden');
@@ -265,3 +806,90 @@ async function analyzeTicker(ticker) {
     }
 }
 
+// Switch between the ticker and paste-text tabs; each keeps its own results
+function setInputMode(mode) {
+    content.classList.toggle('text-mode', mode === 'text');
+    modeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+}
+
+modeTabs.forEach(tab => {
+    tab.addEventListener('click', () => setInputMode(tab.dataset.mode));
+});
+
+// Watch mode sends copied text that isn't a ticker here
+window.electronAPI.onTextCaptured((text) => {
+    setInputMode('text');
+    textInput.value = text;
+    analyzeText(text);
+});
+
+scoreTextBtn.addEventListener('click', () => {
+    if (textInput.value.trim()) {
+        analyzeText(textInput.value);
+    }
+});
+
+// Cmd/Ctrl+Enter scores the pasted text
+textInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey) && textInput.value.trim()) {
+        e.preventDefault();
+        analyzeText(textInput.value);
+    }
+});
+
+let activeTextRequestId = 0;
+
+async function analyzeText(text) {
+    const requestId = ++activeTextRequestId;
+    textResults.classList.remove('hidden');
+    renderPending(textResults, 'Scoring text...');
+
+    const result = await window.electronAPI.analyzeText(text);
+    if (requestId !== activeTextRequestId) {
+        return;
+    }
+
+    if (result.error) {
+        textResults.innerHTML = '<div class="error"></div>';
+        textResults.firstChild.textContent = `Error: ${result.error}`;
+        return;
+    }
+    renderTextSentiment(result);
+}
+
+// Overall score for the pasted text, then each sentence with its badge and highlighted terms
+function renderTextSentiment(result) {
+    const styles = {
+        positive: ['📈', '#10b981'],
+        negative: ['📉', '#ef4444'],
+        neutral: ['➡️', '#f59e0b'],
+        uncertain: ['❔', '#9ca3af']
+    };
+    const [emoji, color] = styles[result.sentiment] || styles.neutral;
+    const leaning = result.sentiment === 'uncertain' ? ` · leaning ${result.predicted}` : '';
+
+    textResults.innerHTML = `
+        <div class="sentiment-box ${result.sentiment}">
+            <div class="sentiment-header">
+                <h4>${emoji} Overall: <span style="color: ${color}">${result.sentiment.toUpperCase()}</span></h4>
+                <p class="sentiment-confidence">Confidence: ${(result.confidence * 100).toFixed(1)}%${leaning} · ${result.sentences.length} sentence${result.sentences.length === 1 ? '' : 's'}</p>
+                ${renderProbabilityBar(result)}
+            </div>
+        </div>
+        <div class="text-sentences">
+            ${result.sentences.map(scored => `
+                <div class="text-sentence">
+                    <span class="article-sentiment-badge ${scored.sentiment}" title="${describeTerms(scored.terms).replace(/"/g, '&quot;')}">${describeSentimentLabel(scored)} ${(scored.confidence * 100).toFixed(0)}%</span>
+                    <p class="text-sentence-body"></p>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    // Pasted text goes in as text, never as markup
+    textResults.querySelectorAll('.text-sentence-body').forEach((body, i) => {
+        const scored = result.sentences[i];
+        body.textContent = scored.text;
+        highlightTerms(body, scored.terms, scored.predicted || scored.sentiment);
+    });
+}
@@ -9,16 +9,37 @@ import json
 import re
 from sklearn.feature_extraction.text import TfidfVectorizer
 from sklearn.linear_model import LogisticRegression
-from sklearn.model_selection import train_test_split
+from sklearn.calibration import CalibratedClassifierCV
+from sklearn.model_selection import train_test_split, StratifiedKFold
 from sklearn.metrics import accuracy_score, precision_score, recall_score, f1_score
+from sklearn.metrics import confusion_matrix, precision_recall_fscore_support
 import pickle
 import os
+import numpy as np
 
 # Global model and vectorizer
 model = None
 vectorizer = None
+calibrator = None
 metrics = None
 
+# Folder the served model is loaded from; the app points this at the active model version
+active_model_dir = os.environ.get('SENTIMENT_MODEL_DIR') or '.'
+
+MODEL_FILE = 'sentiment_model.pkl'
+VECTORIZER_FILE = 'sentiment_vectorizer.pkl'
+CALIBRATOR_FILE = 'sentiment_calibrator.pkl'
+METRICS_FILE = 'sentiment_metrics.json'
+
+# Class indices used by the model, in order
+LABEL_NAMES = ['negative', 'neutral', 'positive']
+CV_FOLDS = 5
+
+# Probability calibration: 'sigmoid' (Platt scaling) or 'isotonic', fit on a held-out share of the training split
+CALIBRATION_METHOD = os.environ.get('SENTIMENT_CALIBRATION') or 'sigmoid'
+CALIBRATION_SIZE = 0.25
+RELIABILITY_BINS = 10
+
 def load_training_data(filepath='Sentences_75Agree.txt'):
     """Load and parse training data"""
     sentences = []
@@ -51,12 +72,155 @@ def load_training_data(filepath='Sentences_75Agree.txt'):
     
     return sentences, labels
 
-def train_model():
-    """Train the logistic regression model"""
-    global model, vectorizer, metrics
+def new_vectorizer():
+    return TfidfVectorizer(max_features=5000, ngram_range=(1, 2), stop_words='english')
+
+def new_classifier():
+    return LogisticRegression(max_iter=1000, random_state=42)
+
+def new_calibrator(classifier):
+    """Calibration wrapper around an already fitted classifier"""
+    try:
+        from sklearn.frozen import FrozenEstimator
+        return CalibratedClassifierCV(FrozenEstimator(classifier), method=CALIBRATION_METHOD)
+    except ImportError:
+        # scikit-learn < 1.6
+        return CalibratedClassifierCV(classifier, method=CALIBRATION_METHOD, cv='prefit')
+
+def fit_calibrated(X, y):
+    """Fit the classifier on part of X and calibrate its probabilities on the rest
+    
+    Returns (classifier, calibrator); calibrator is None when the data is too small to hold
+    out a calibration set with every class in it.
+    """
+    try:
+        X_fit, X_cal, y_fit, y_cal = train_test_split(
+            X, y, test_size=CALIBRATION_SIZE, random_state=42, stratify=y)
+    except ValueError:
+        classifier = new_classifier()
+        classifier.fit(X, y)
+        return classifier, None
+    
+    classifier = new_classifier()
+    classifier.fit(X_fit, y_fit)
+    fitted_calibrator = new_calibrator(classifier)
+    fitted_calibrator.fit(X_cal, y_cal)
+    return classifier, fitted_calibrator
+
+def reliability_curve(actual, probabilities, bins=RELIABILITY_BINS):
+    """Reliability diagram data: mean confidence vs. observed accuracy per confidence bin
+    
+    Also returns the expected calibration error (gap between confidence and accuracy,
+    weighted by bin size) and the multi-class Brier score.
+    """
+    probabilities = np.asarray(probabilities)
+    actual = np.asarray(actual)
+    confidence = probabilities.max(axis=1)
+    correct = probabilities.argmax(axis=1) == actual
+    edges = np.linspace(0, 1, bins + 1)
+    bin_index = np.digitize(confidence, edges[1:-1])
+    
+    curve = []
+    ece = 0.0
+    for b in range(bins):
+        in_bin = bin_index == b
+        count = int(in_bin.sum())
+        entry = {'lower': round(float(edges[b]), 2), 'upper': round(float(edges[b + 1]), 2), 'count': count}
+        if count:
+            mean_confidence = float(confidence[in_bin].mean())
+            accuracy = float(correct[in_bin].mean())
+            ece += count / len(actual) * abs(accuracy - mean_confidence)
+            entry['confidence'] = round(mean_confidence, 4)
+            entry['accuracy'] = round(accuracy, 4)
+        curve.append(entry)
+    
+    one_hot = np.eye(probabilities.shape[1])[actual]
+    brier = float(np.mean(np.sum((probabilities - one_hot) ** 2, axis=1)))
+    return {'bins': curve, 'ece': round(ece, 4), 'brier': round(brier, 4)}
+
+def cross_validate_model(sentences, labels, folds=CV_FOLDS):
+    """Stratified k-fold metrics (mean and std), per-class scores, a confusion matrix and
+    reliability curves before and after calibration
+    
+    The vectorizer and calibrator are fit inside each fold so no test data leaks into training.
+    """
+    # Every class needs at least one sample per fold
+    smallest_class = min(labels.count(label) for label in set(labels))
+    folds = min(folds, smallest_class)
+    if folds < 2:
+        return None
+    
+    splitter = StratifiedKFold(n_splits=folds, shuffle=True, random_state=42)
+    fold_scores = {'accuracy': [], 'precision': [], 'recall': [], 'f1_score': []}
+    actual = []
+    predicted = []
+    raw_probabilities = []
+    calibrated_probabilities = []
+    
+    for fold, (train_index, test_index) in enumerate(splitter.split(sentences, labels), 1):
+        print(f"Cross-validation fold {fold}/{folds}...", file=sys.stderr)
+        fold_vectorizer = new_vectorizer()
+        X_train = fold_vectorizer.fit_transform([sentences[i] for i in train_index])
+        X_test = fold_vectorizer.transform([sentences[i] for i in test_index])
+        y_train = [labels[i] for i in train_index]
+        y_test = [labels[i] for i in test_index]
+        
+        fold_model, fold_calibrator = fit_calibrated(X_train, y_train)
+        raw = fold_model.predict_proba(X_test)
+        calibrated = fold_calibrator.predict_proba(X_test) if fold_calibrator is not None else raw
+        y_pred = fold_model.classes_[calibrated.argmax(axis=1)]
+        
+        fold_scores['accuracy'].append(accuracy_score(y_test, y_pred))
+        fold_scores['precision'].append(precision_score(y_test, y_pred, average='macro', zero_division=0))
+        fold_scores['recall'].append(recall_score(y_test, y_pred, average='macro', zero_division=0))
+        fold_scores['f1_score'].append(f1_score(y_test, y_pred, average='macro', zero_division=0))
+        actual.extend(y_test)
+        predicted.extend(y_pred)
+        raw_probabilities.extend(raw)
+        calibrated_probabilities.extend(calibrated)
+    
+    class_indices = list(range(len(LABEL_NAMES)))
+    precision, recall, f1, support = precision_recall_fscore_support(
+        actual, predicted, labels=class_indices, zero_division=0)
+    matrix = confusion_matrix(actual, predicted, labels=class_indices)
+    
+    return {
+        'folds': folds,
+        'cv': {name: {'mean': round(float(np.mean(values)), 4), 'std': round(float(np.std(values)), 4)}
+               for name, values in fold_scores.items()},
+        'per_class': {
+            LABEL_NAMES[i]: {
+                'precision': round(float(precision[i]), 4),
+                'recall': round(float(recall[i]), 4),
+                'f1_score': round(float(f1[i]), 4),
+                'support': int(support[i])
+            }
+            for i in class_indices
+        },
+        # Rows are actual labels, columns predicted labels
+        'confusion_matrix': {'labels': LABEL_NAMES, 'matrix': matrix.tolist()},
+        'calibration': {
+            'method': CALIBRATION_METHOD,
+            'calibrated': reliability_curve(actual, calibrated_probabilities),
+            'uncalibrated': reliability_curve(actual, raw_probabilities)
+        }
+    }
+
+def train_model(datasets=None, output_dir=None):
+    """Train the logistic regression model
+    
+    datasets: extra sentence@label files added to Sentences_75Agree.txt
+    output_dir: where to save the model (defaults to the active model folder)
+    """
+    global model, vectorizer, calibrator, metrics
     
     print("Loading training data...", file=sys.stderr)
     sentences, labels = load_training_data()
+    for dataset in datasets or []:
+        extra_sentences, extra_labels = load_training_data(dataset)
+        print(f"Adding {len(extra_sentences)} examples from {dataset}", file=sys.stderr)
+        sentences += extra_sentences
+        labels += extra_labels
     
     if len(sentences) == 0:
         print("Error: No training data found", file=sys.stderr)
@@ -66,20 +230,19 @@ def train_model():
     
     # Create TF-IDF features
     print("Creating TF-IDF features...", file=sys.stderr)
-    vectorizer = TfidfVectorizer(max_features=5000, ngram_range=(1, 2), stop_words='english')
+    vectorizer = new_vectorizer()
     X = vectorizer.fit_transform(sentences)
     y = labels
     
     # Split data
     X_train, X_test, y_train, y_test = train_test_split(X, y, test_size=0.2, random_state=42)
     
-    # Train model
-    print("Training logistic regression model...", file=sys.stderr)
-    model = LogisticRegression(max_iter=1000, random_state=42)
-    model.fit(X_train, y_train)
+    # Train model, holding back part of the training split to calibrate its probabilities
+    print(f"Training logistic regression model ({CALIBRATION_METHOD} calibration)...", file=sys.stderr)
+    model, calibrator = fit_calibrated(X_train, y_train)
     
     # Calculate metrics (multi-class classification)
-    y_pred = model.predict(X_test)
+    y_pred = model.classes_[predict_probabilities(X_test).argmax(axis=1)]
     accuracy = accuracy_score(y_test, y_pred)
     # Use macro average for multi-class (positive, neutral, negative)
     precision = precision_score(y_test, y_pred, average='macro', zero_division=0)
@@ -90,28 +253,61 @@ def train_model():
         'accuracy': round(accuracy, 4),
         'precision': round(precision, 4),
         'recall': round(recall, 4),
-        'f1_score': round(f1, 4)
+        'f1_score': round(f1, 4),
+        'samples': len(sentences),
+        'calibration_method': CALIBRATION_METHOD if calibrator is not None else None
     }
     
+    print(f"Cross-validating ({CV_FOLDS} folds)...", file=sys.stderr)
+    evaluation = cross_validate_model(sentences, labels)
+    if evaluation:
+        metrics.update(evaluation)
+    
     print(f"Model trained! Accuracy: {accuracy:.4f}", file=sys.stderr)
     
-    # Save model
-    with open('sentiment_model.pkl', 'wb') as f:
+    # Save model, with its metrics so they survive a restart
+    model_dir = output_dir or active_model_dir
+    os.makedirs(model_dir, exist_ok=True)
+    with open(os.path.join(model_dir, MODEL_FILE), 'wb') as f:
         pickle.dump(model, f)
-    with open('sentiment_vectorizer.pkl', 'wb') as f:
+    with open(os.path.join(model_dir, VECTORIZER_FILE), 'wb') as f:
         pickle.dump(vectorizer, f)
+    calibrator_path = os.path.join(model_dir, CALIBRATOR_FILE)
+    if calibrator is not None:
+        with open(calibrator_path, 'wb') as f:
+            pickle.dump(calibrator, f)
+    elif os.path.exists(calibrator_path):
+        os.remove(calibrator_path)
+    with open(os.path.join(model_dir, METRICS_FILE), 'w') as f:
+        json.dump(metrics, f)
     
     return True
 
-def load_model():
-    """Load pre-trained model"""
-    global model, vectorizer
+def load_model(model_dir=None):
+    """Load pre-trained model (from model_dir, which becomes the active folder, or the active folder)"""
+    global model, vectorizer, calibrator, metrics, active_model_dir
     
-    if os.path.exists('sentiment_model.pkl') and os.path.exists('sentiment_vectorizer.pkl'):
-        with open('sentiment_model.pkl', 'rb') as f:
+    model_dir = model_dir or active_model_dir
+    model_path = os.path.join(model_dir, MODEL_FILE)
+    vectorizer_path = os.path.join(model_dir, VECTORIZER_FILE)
+    metrics_path = os.path.join(model_dir, METRICS_FILE)
+    calibrator_path = os.path.join(model_dir, CALIBRATOR_FILE)
+    
+    if os.path.exists(model_path) and os.path.exists(vectorizer_path):
+        with open(model_path, 'rb') as f:
             model = pickle.load(f)
-        with open('sentiment_vectorizer.pkl', 'rb') as f:
+        with open(vectorizer_path, 'rb') as f:
             vectorizer = pickle.load(f)
+        # Models trained before calibration was added have no calibrator
+        calibrator = None
+        if os.path.exists(calibrator_path):
+            with open(calibrator_path, 'rb') as f:
+                calibrator = pickle.load(f)
+        metrics = None
+        if os.path.exists(metrics_path):
+            with open(metrics_path) as f:
+                metrics = json.load(f)
+        active_model_dir = model_dir
         return True
     return False
 
@@ -128,9 +324,76 @@ def predict_sentiment(texts):
     
     # Transform and predict
     X = vectorizer.transform([combined_text])
-    prediction = model.predict(X)[0]
-    probability = model.predict_proba(X)[0]
+    probability = predict_probabilities(X)[0]
+    prediction = model.classes_[probability.argmax()]
+    
+    return format_prediction(prediction, probability)
+
+def predict_sentiment_each(texts):
+    """Predict sentiment for each text separately"""
+    global model, vectorizer
+    
+    if model is None or vectorizer is None:
+        if not load_model():
+            return None
+    
+    X = vectorizer.transform(texts)
+    probabilities = predict_probabilities(X)
+    predictions = model.classes_[probabilities.argmax(axis=1)]
+    
+    results = []
+    for i, (prediction, probability) in enumerate(zip(predictions, probabilities)):
+        result = format_prediction(prediction, probability)
+        result['terms'] = explain_prediction(X[i], prediction)
+        results.append(result)
+    return results
+
+def predict_probabilities(X):
+    """Class probabilities for each row of X, calibrated when the model has a calibrator"""
+    if calibrator is not None:
+        return calibrator.predict_proba(X)
+    return model.predict_proba(X)
+
+def explain_prediction(row, prediction, top=5):
+    """Top n-grams behind one prediction
+    
+    Each term's weight is its TF-IDF value times how much more its coefficient favors the
+    predicted class than the other classes on average. Positive weights pushed toward the
+    predicted label, negative ones against it.
+    """
+    coef = model.coef_
+    if coef.shape[0] < 2:
+        return []
+    
+    class_index = list(model.classes_).index(prediction)
+    others = [k for k in range(coef.shape[0]) if k != class_index]
+    feature_names = get_feature_names()
+    
+    row = row.tocoo()
+    contributions = []
+    for j, value in zip(row.col, row.data):
+        margin = coef[class_index, j] - np.mean([coef[k, j] for k in others])
+        contributions.append((feature_names[j], float(value * margin)))
     
+    contributions.sort(key=lambda item: abs(item[1]), reverse=True)
+    return [{'term': term, 'weight': round(weight, 4)}
+            for term, weight in contributions[:top] if weight != 0]
+
+_feature_names = {}
+
+def get_feature_names():
+    """Vocabulary of the loaded vectorizer, indexed by feature column (cached per vectorizer)"""
+    key = id(vectorizer)
+    if key not in _feature_names:
+        _feature_names.clear()
+        if hasattr(vectorizer, 'get_feature_names_out'):
+            _feature_names[key] = list(vectorizer.get_feature_names_out())
+        else:
+            _feature_names[key] = list(vectorizer.get_feature_names())
+    return _feature_names[key]
+
+def format_prediction(prediction, probability):
+    """Build the result dict for one prediction"""
     # Map prediction to label: 0=negative, 1=neutral, 2=positive
     sentiment_map = {0: 'negative', 1: 'neutral', 2: 'positive'}
     sentiment = sentiment_map.get(prediction, 'neutral')
@@ -157,10 +420,68 @@ def get_metrics():
     global metrics
     return metrics
 
+def handle_request(method, params):
+    """Run one worker request and return a JSON-serializable result"""
+    not_trained = {'error': 'Model not trained. Run train first.'}
+    
+    if method == 'ping':
+        return {'ok': True, 'model_loaded': model is not None}
+    
+    if method == 'predict':
+        result = predict_sentiment(params['texts'])
+        return result if result else not_trained
+    
+    if method == 'predict_each':
+        results = predict_sentiment_each(params['texts'])
+        return {'predictions': results} if results is not None else not_trained
+    
+    if method == 'metrics':
+        if model is None and not load_model():
+            train_model()
+        result = get_metrics()
+        return result if result else {'error': 'No metrics available. Train model first.'}
+    
+    if method == 'train':
+        output_dir = params.get('output_dir')
+        if not train_model(params.get('datasets'), output_dir):
+            return {'success': False, 'error': 'Training failed'}
+        result = {'success': True, 'metrics': metrics}
+        if output_dir:
+            # A new version isn't served until it's activated; go back to the active model
+            load_model()
+        return result
+    
+    if method == 'reload':
+        return {'success': load_model(params.get('model_dir'))}
+    
+    raise ValueError(f'Unknown method: {method}')
+
+def serve():
+    """Answer line-delimited JSON-RPC requests on stdin until it closes"""
+    load_model()
+    print("Sentiment worker ready", file=sys.stderr)
+    
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        
+        request_id = None
+        try:
+            request = json.loads(line)
+            request_id = request.get('id')
+            result = handle_request(request.get('method'), request.get('params') or {})
+            response = {'id': request_id, 'result': result}
+        except Exception as e:
+            response = {'id': request_id, 'error': {'message': str(e)}}
+        
+        sys.stdout.write(json.dumps(response) + '\n')
+        sys.stdout.flush()
+
 # Command line interface
 if __name__ == '__main__':
     if len(sys.argv) < 2:
-        print(json.dumps({'error': 'Usage: train|predict|metrics'}))
+        print(json.dumps({'error': 'Usage: train|predict|metrics|serve'}))
         sys.exit(1)
     
     command = sys.argv[1]
@@ -202,6 +523,9 @@ if __name__ == '__main__':
         else:
             print(json.dumps({'error': 'Model not trained. Run train first.'}))
     
+    elif command == 'serve':
+        serve()
+    
     elif command == 'metrics':
         if not load_model():
             # Train if model doesn't exist
@@ -1,9 +1,18 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const { HfInference } = require('@huggingface/inference');
-const cheerio = require('cheerio');
 const SentimentAnalyzer = require('./modules/sentiment-analyzer');
+const { NewsProviderRegistry } = require('./modules/news-providers');
+const ArticleBodyExtractor = require('./modules/article-body-extractor');
+const ArticleStore = require('./modules/article-store');
+const AnalysisCache = require('./modules/analysis-cache');
+const ExtractiveSummarizer = require('./modules/extractive-summarizer');
+const ModelRegistry = require('./modules/model-registry');
+const SymbolDirectory = require('./modules/symbol-directory');
+const RateLimiter = require('./modules/rate-limiter');
+const SingleFlight = require('./modules/single-flight');
+const AlertRuleEngine = require('./modules/alert-rules');
+const path = require('path');
 
 const app = express();
 const PORT = 3001;
@@ -12,181 +21,185 @@ const PORT = 3001;
 const hf = new HfInference(process.env.HF_API_KEY || null); // Optional API key for rate limits
 
 // Initialize Sentiment Analyzer
-const sentimentAnalyzer = new SentimentAnalyzer();
+// Per-article scores are combined with recency, duplicate-count and neutral weighting
+// Predictions run in SENTIMENT_WORKERS persistent Python processes (default 2)
+// SENTIMENT_BACKEND picks the engine: python (default), lexicon (pure JS) or ensemble (both)
+// Below SENTIMENT_ABSTAIN_THRESHOLD confidence (default 0.5) a result is labeled "uncertain"
+const SENTIMENT_BACKEND = SentimentAnalyzer.BACKENDS.includes(process.env.SENTIMENT_BACKEND)
+    ? process.env.SENTIMENT_BACKEND
+    : 'python';
+const sentimentAnalyzer = new SentimentAnalyzer({
+    backend: SENTIMENT_BACKEND,
+    workers: parseInt(process.env.SENTIMENT_WORKERS, 10) || 2,
+    abstainThreshold: process.env.SENTIMENT_ABSTAIN_THRESHOLD !== undefined ? parseFloat(process.env.SENTIMENT_ABSTAIN_THRESHOLD) : 0.5,
+    weighting: {
+        halfLifeHours: parseFloat(process.env.SENTIMENT_HALF_LIFE_HOURS) || 24,
+        duplicateWeight: process.env.SENTIMENT_DUPLICATE_WEIGHT !== undefined ? parseFloat(process.env.SENTIMENT_DUPLICATE_WEIGHT) : 0.5,
+        neutralWeight: process.env.SENTIMENT_NEUTRAL_WEIGHT !== undefined ? parseFloat(process.env.SENTIMENT_NEUTRAL_WEIGHT) : 0.5
+    }
+});
 
-// Train model on startup (async, non-blocking)
-sentimentAnalyzer.ensureTrained().then(() => {
-    console.log('✅ Sentiment analyzer ready');
-}).catch(err => {
-    console.error('⚠️ Sentiment analyzer training failed:', err.message);
+// Outbound news requests are limited per upstream site (all of yahoo.com shares one budget):
+// NEWS_RATE_LIMIT_PER_MINUTE (default 30) once a burst of NEWS_RATE_LIMIT_BURST (default 5) is spent.
+// A 429 pauses that site for its Retry-After, or a backoff that doubles on each 429 in a row
+const newsRateLimiter = new RateLimiter({
+    perMinute: parseInt(process.env.NEWS_RATE_LIMIT_PER_MINUTE) || 30,
+    burst: parseInt(process.env.NEWS_RATE_LIMIT_BURST) || 5
 });
 
-// Cache for ticker analysis results (5 minutes TTL)
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+// Initialize news providers
+const newsProviders = new NewsProviderRegistry({ rateLimiter: newsRateLimiter });
+newsProviders.loadConfig(process.env.NEWS_PROVIDERS_CONFIG);
 
-app.use(cors());
-app.use(express.json());
+// Initialize article body extraction (off unless EXTRACT_ARTICLE_BODIES=true or requested per call)
+// Set ARTICLE_FIXTURES_DIR to read saved pages instead of fetching them
+const bodyExtractor = new ArticleBodyExtractor({
+    fixtureDir: process.env.ARTICLE_FIXTURES_DIR || null
+});
+const BODY_LIMIT_MAX = { concurrency: 8, timeout: 15000, maxBytes: 5000000, maxChars: 20000 };
 
-// Yahoo Finance News API endpoint
-async function fetchYahooNews(ticker) {
-    const articles = [];
-    
-    // Primary method: Use RSS feed (more reliable)
-    try {
-        console.log(`Attempting RSS feed for ${ticker}...`);
-        const rssUrl = `https://feeds.finance.yahoo.com/rss/2.0/headline?s=${ticker}&region=US&lang=en-US`;
-        const rssResponse = await axios.get(rssUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Accept': 'application/rss+xml, application/xml, text/xml'
-            },
-            timeout: 5000 // Reduced timeout for faster failure
-        });
-        
-        const rss$ = cheerio.load(rssResponse.data, { xmlMode: true });
-        
-        rss$('item').each((i, item) => {
-            const title = rss$(item).find('title').text().trim();
-            const link = rss$(item).find('link').text().trim();
-            const pubDate = rss$(item).find('pubDate').text();
-            const description = rss$(item).find('description').text().trim();
-            
-            if (title && link) {
-                let formattedDate = 'Recent';
-                let dateObj = new Date(); // Default to now if no date
-                
-                if (pubDate) {
-                    try {
-                        dateObj = new Date(pubDate);
-                        formattedDate = dateObj.toLocaleDateString();
-                    } catch (e) {
-                        formattedDate = pubDate;
-                    }
-                }
-                
-                articles.push({
-                    title,
-                    link,
-                    date: formattedDate,
-                    dateObj: dateObj, // Store Date object for sorting
-                    description: description || ''
-                });
-            }
-        });
-        
-        // Sort by date (most recent first) and limit to 10
-        articles.sort((a, b) => b.dateObj - a.dateObj);
-        articles = articles.slice(0, 10);
-        
-        // Remove dateObj before returning (clean up)
-        articles = articles.map(({ dateObj, ...article }) => article);
-        
-        if (articles.length > 0) {
-            console.log(`Successfully fetched ${articles.length} articles from RSS feed (sorted by most recent)`);
-            return articles;
+// Resolve body extraction settings from the request, clamped to BODY_LIMIT_MAX
+function getBodyExtractionOptions(requested) {
+    const options = requested || {};
+    const enabled = options.enabled !== undefined
+        ? options.enabled === true
+        : process.env.EXTRACT_ARTICLE_BODIES === 'true';
+
+    if (!enabled) {
+        return null;
+    }
+
+    const limits = {};
+    for (const [key, max] of Object.entries(BODY_LIMIT_MAX)) {
+        const value = parseInt(options[key]);
+        if (value > 0) {
+            limits[key] = Math.min(value, max);
         }
-    } catch (rssError) {
-        console.error('RSS feed error:', rssError.message);
-        // Continue to fallback method
     }
+    return limits;
+}
 
-    // Fallback: Try scraping Yahoo Finance page
-    try {
-        console.log(`Attempting web scraping for ${ticker}...`);
-        const url = `https://finance.yahoo.com/quote/${ticker}/news`;
-        
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-            },
-            timeout: 5000 // Reduced timeout for faster failure
-        });
+// First sentence of a block of text
+function leadSentence(text) {
+    const match = (text || '').match(/^[\s\S]*?[.!?](?=\s|$)/);
+    return (match ? match[0] : text || '').trim();
+}
 
-        const $ = cheerio.load(response.data);
-        
-        // Try multiple selectors as Yahoo Finance structure may vary
-        const selectors = [
-            'h3 a[data-module="StreamItem"]',
-            'h3 a',
-            'a[data-test-locator="stream-item"]',
-            '.js-stream-content a'
-        ];
-        
-        for (const selector of selectors) {
-            $(selector).each((i, elem) => {
-                const title = $(elem).text().trim();
-                let link = $(elem).attr('href');
-                
-                if (title && link) {
-                    const fullLink = link.startsWith('http') ? link : `https://finance.yahoo.com${link}`;
-                    const dateElem = $(elem).closest('div').find('time, span[data-test-locator]');
-                    const dateText = dateElem.first().text().trim() || 'Recent';
-                    
-                    // Try to parse date from text
-                    let dateObj = new Date();
-                    try {
-                        // Try to parse relative dates like "2h ago", "1d ago", etc.
-                        const dateMatch = dateText.match(/(\d+)\s*(h|hour|d|day|m|min)/i);
-                        if (dateMatch) {
-                            const value = parseInt(dateMatch[1]);
-                            const unit = dateMatch[2].toLowerCase();
-                            dateObj = new Date();
-                            if (unit === 'h' || unit === 'hour') {
-                                dateObj.setHours(dateObj.getHours() - value);
-                            } else if (unit === 'd' || unit === 'day') {
-                                dateObj.setDate(dateObj.getDate() - value);
-                            } else if (unit === 'm' || unit === 'min') {
-                                dateObj.setMinutes(dateObj.getMinutes() - value);
-                            }
-                        } else {
-                            // Try parsing as absolute date
-                            dateObj = new Date(dateText);
-                            if (isNaN(dateObj.getTime())) {
-                                dateObj = new Date(); // Fallback to now
-                            }
-                        }
-                    } catch (e) {
-                        dateObj = new Date(); // Fallback to now
-                    }
-                    
-                    // Avoid duplicates
-                    if (!articles.find(a => a.title === title)) {
-                        articles.push({
-                            title,
-                            link: fullLink,
-                            date: dateText,
-                            dateObj: dateObj
-                        });
-                    }
-                }
-            });
-            
-            if (articles.length > 0) break;
+// Persistent history of articles, sentiment and runs (TRADING_ASSISTANT_DATA_DIR or ~/.trading-assistant)
+const articleStore = new ArticleStore();
+articleStore.load().catch(err => {
+    console.error('⚠️ Failed to load article store:', err.message);
+});
+
+// Known listings for validating tickers and looking up company names
+// (bundled symbols.csv plus a symbols.csv in the data folder; SYMBOL_DIRECTORY_STRICT=true rejects unlisted symbols)
+const symbolDirectory = new SymbolDirectory({ dataDir: articleStore.dataDir });
+
+// Saved sentiment model versions and uploaded training data, next to the article store
+const modelRegistry = new ModelRegistry(articleStore.dataDir, { baselineDir: __dirname });
+
+// Load the active model version, then train on startup if needed (async, non-blocking)
+modelRegistry.getActive()
+    .then(active => modelRegistry.getVersion(active.id))
+    .then(version => {
+        if (!version || version.builtin) return;
+        if (!version.ready) {
+            console.warn(`⚠️ Model ${version.id} has no model files, using the baseline`);
+            return;
         }
-        
-        // Sort by date (most recent first) and limit to 10
-        articles.sort((a, b) => b.dateObj - a.dateObj);
-        articles = articles.slice(0, 10);
-        
-        // Remove dateObj before returning
-        articles = articles.map(({ dateObj, ...article }) => article);
-        
-        if (articles.length > 0) {
-            console.log(`Successfully scraped ${articles.length} articles from web page (sorted by most recent)`);
-            return articles;
+        console.log(`🧠 Using sentiment model ${version.id}`);
+        return sentimentAnalyzer.useModel(version.path, version.metrics);
+    })
+    .then(() => sentimentAnalyzer.ensureTrained())
+    .then(() => {
+        console.log('✅ Sentiment analyzer ready');
+    })
+    .catch(err => {
+        console.error('⚠️ Sentiment analyzer training failed:', err.message);
+    });
+
+// User-defined alert rules, checked against every analysis result (ALERT_RULES_CONFIG or alert-rules.json
+// in the data folder). 'log' appends to alerts.log here; the desktop app polls GET /api/alerts and
+// shows 'notification' and 'sound' alerts itself
+const alertRules = new AlertRuleEngine({
+    filePath: process.env.ALERT_RULES_CONFIG || path.join(articleStore.dataDir, 'alert-rules.json')
+});
+alertRules.registerAction('notification', null, { description: 'Desktop notification' });
+alertRules.registerAction('sound', null, { description: 'Play a sound' });
+alertRules.registerAction('log', AlertRuleEngine.createLogAction(path.join(articleStore.dataDir, 'alerts.log')), {
+    description: 'Append to alerts.log'
+});
+alertRules.load();
+
+// Cache for ticker analysis results, persisted next to the article store
+// Results are fresh for 5 minutes, then served stale (while refreshing) for up to 30 more;
+// empty and failed results expire sooner and are never served stale
+const analysisCache = new AnalysisCache({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 200,
+    ttl: {
+        hit: 5 * 60 * 1000,  // 5 minutes
+        empty: 60 * 1000,    // 1 minute
+        error: 30 * 1000     // 30 seconds
+    },
+    staleTtl: 30 * 60 * 1000,
+    filePath: path.join(articleStore.dataDir, 'analysis-cache.json')
+});
+analysisCache.load();
+
+// Cache keys with a background (stale-while-revalidate) refresh in flight
+const refreshing = new Set();
+
+// Identical analyses requested while one is running (two windows, a batch) share that run
+const analysisFlights = new SingleFlight();
+
+// Parse optional ?since=&until= query params into Dates
+function parseDateRange(query) {
+    const range = {};
+    for (const key of ['since', 'until']) {
+        if (query[key]) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid ${key} date: ${query[key]}`);
+            }
+            range[key] = date;
         }
-    } catch (scrapeError) {
-        console.error('Web scraping error:', scrapeError.message);
-        // If both methods fail, return empty array
+    }
+    return range;
+}
+
+app.use(cors());
+// Larger limit for training data uploads
+app.use(express.json({ limit: '5mb' }));
+
+// Fetch news for a ticker from every configured provider
+// Providers are configured by the JSON file in NEWS_PROVIDERS_CONFIG (defaults: Yahoo RSS, then Yahoo scraping)
+async function fetchYahooNews(ticker) {
+    const articles = await newsProviders.fetchAll(ticker);
+
+    if (articles.length > 0) {
+        console.log(`Successfully fetched ${articles.length} articles (sorted by most recent)`);
+    } else {
+        // If no articles found, return empty array (don't throw error)
+        console.warn(`No articles found for ${ticker} using any provider`);
     }
 
-    // If no articles found, return empty array (don't throw error)
-    console.warn(`No articles found for ${ticker} using any method`);
     return articles;
 }
 
+// Summary modes: 'fast' (headline list), 'extractive' (offline TextRank) or 'ai' (Hugging Face)
+// Set SUMMARY_MODE to choose the default; USE_AI_SUMMARY=true is kept as an alias for 'ai'
+const SUMMARY_MODES = ['fast', 'extractive', 'ai'];
+const DEFAULT_SUMMARY_MODE = SUMMARY_MODES.includes(process.env.SUMMARY_MODE)
+    ? process.env.SUMMARY_MODE
+    : (process.env.USE_AI_SUMMARY === 'true' ? 'ai' : 'fast');
+
+const extractiveSummarizer = new ExtractiveSummarizer({ maxSentences: 3 });
+
+// Resolve the summary mode for a request, falling back to the default
+function getSummaryMode(requested) {
+    return SUMMARY_MODES.includes(requested) ? requested : DEFAULT_SUMMARY_MODE;
+}
+
 // Fast summary generation (no AI, instant)
 function generateFastSummary(articles) {
     if (!articles || articles.length === 0) {
@@ -195,8 +208,20 @@ function generateFastSummary(articles) {
 
     const topArticles = articles.slice(0, 3);
     const topics = topArticles.map(a => a.title).join('; ');
+
+    // Lead with the opening sentence of the latest story when its body was extracted
+    const lead = articles[0].body ? ` ${leadSentence(articles[0].body)}` : '';
     
-    return `Recent news highlights: ${topArticles.length > 0 ? topics : 'No recent updates'}. Check the articles below for more details.`;
+    return `Recent news highlights: ${topArticles.length > 0 ? topics : 'No recent updates'}.${lead} Check the articles below for more details.`;
+}
+
+// Extractive summary generation (TextRank over article sentences, no network, instant)
+function generateExtractiveSummary(articles) {
+    if (!articles || articles.length === 0) {
+        return 'No recent news articles found for this ticker.';
+    }
+
+    return extractiveSummarizer.summarize(articles) || generateFastSummary(articles);
 }
 
 // Summarize articles using Hugging Face model (slower, but more intelligent)
@@ -205,10 +230,13 @@ async function summarizeArticlesWithAI(articles) {
         return 'No recent news articles found for this ticker.';
     }
 
-    // Combine article titles and create a text to summarize
+    // Combine article titles (and body excerpts when extracted) into a text to summarize
     const newsText = articles
         .slice(0, 5) // Use top 5 articles
-        .map((article, idx) => `${idx + 1}. ${article.title}`)
+        .map((article, idx) => {
+            const excerpt = article.body ? ` ${article.body.substring(0, 300)}` : '';
+            return `${idx + 1}. ${article.title}.${excerpt}`;
+        })
         .join('\n');
 
     // If text is too short, add more context
@@ -249,115 +277,178 @@ async function summarizeArticlesWithAI(articles) {
         return summaryText || 'Summary generated successfully.';
     } catch (error) {
         console.error('Summarization error:', error.message);
-        // Fallback to fast summary
-        return generateFastSummary(articles);
+        // Fallback to the offline extractive summary
+        return generateExtractiveSummary(articles);
     }
 }
 
+// Key for an analysis in the cache and among in-flight runs: the summary mode and body extraction
+// settings change the result, so each combination is kept apart
+function analysisCacheKey(ticker, summaryMode, bodyOptions) {
+    return [ticker, summaryMode, bodyOptions ? `bodies:${JSON.stringify(bodyOptions)}` : 'headlines'].join('|');
+}
+
 // Cache helper functions
-function getCachedResult(ticker) {
-    const cached = cache.get(ticker);
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-        console.log(`✅ Cache HIT for ${ticker}`);
-        return cached.data;
-    }
-    if (cached) {
-        // Expired, remove it
-        cache.delete(ticker);
-    }
-    console.log(`❌ Cache MISS for ${ticker}`);
-    return null;
+function getCachedResult(key) {
+    const cached = analysisCache.get(key);
+    if (cached.state === 'miss') {
+        console.log(`❌ Cache MISS for ${key}`);
+    } else {
+        console.log(`✅ Cache ${cached.state === 'stale' ? 'STALE HIT' : 'HIT'} for ${key}`);
+    }
+    return cached;
+}
+
+function setCachedResult(key, data, kind = 'hit') {
+    analysisCache.set(key, data, kind);
+    console.log(`💾 Cached ${kind} result for ${key}`);
 }
 
-function setCachedResult(ticker, data) {
-    cache.set(ticker, {
-        data,
-        timestamp: Date.now()
+// Re-run a stale analysis in the background with the settings it was cached under;
+// the cached result is served meanwhile
+function refreshInBackground(ticker, options) {
+    const key = analysisCacheKey(ticker, options.summaryMode, getBodyExtractionOptions(options.bodyExtraction));
+    if (refreshing.has(key)) {
+        return;
+    }
+
+    refreshing.add(key);
+    console.log(`🔄 Refreshing stale result for ${key} in the background`);
+    analyzeTicker(ticker, { ...options, forceRefresh: true })
+        .catch(error => console.error(`Background refresh failed for ${key}:`, error.message))
+        .finally(() => refreshing.delete(key));
+}
+
+// Check the alert rules against an analysis result, fresh or cached; each rule's cooldown keeps a
+// result served again and again from firing it more than once
+function evaluateAlertRules(cleanTicker, result, newArticles = 0) {
+    alertRules.evaluate(result, {
+        newArticles,
+        countNewArticles: (windowMs) => articleStore.getArticles(cleanTicker, { since: new Date(Date.now() - windowMs) }).length
     });
-    console.log(`💾 Cached result for ${ticker}`);
 }
 
-// Clean up expired cache entries periodically
-setInterval(() => {
-    const now = Date.now();
-    for (const [ticker, cached] of cache.entries()) {
-        if (now - cached.timestamp >= CACHE_TTL) {
-            cache.delete(ticker);
-            console.log(`🗑️  Removed expired cache for ${ticker}`);
+// Canonical symbol for a ticker or company name: 'brk.b' -> 'BRK-B', 'Nvidia' -> 'NVDA' ('' if neither)
+// Requests name a ticker on purpose, so symbols typed in lowercase are accepted too
+// Anything but a string ('' for a JSON null, number or object) is not a ticker
+function cleanTickerSymbol(ticker) {
+    if (typeof ticker !== 'string') return '';
+    return symbolDirectory.resolve(ticker) || symbolDirectory.canonicalize(ticker.toUpperCase()) || '';
+}
+
+// Run the full analysis for a ticker: cache, news, summary, sentiment and history
+// options.onProgress(event, data) is called with 'articles', 'summary' and 'sentiment' as each is ready
+// options.forceRefresh skips the cache lookup; options.summaryMode overrides SUMMARY_MODE
+// Concurrent calls for the same ticker and settings share one fetch
+// Throws if the news fetch fails
+async function analyzeTicker(cleanTicker, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const bodyOptions = getBodyExtractionOptions(options.bodyExtraction);
+    const summaryMode = getSummaryMode(options.summaryMode);
+    const cacheKey = analysisCacheKey(cleanTicker, summaryMode, bodyOptions);
+
+    // Check cache first
+    const cached = options.forceRefresh ? { state: 'miss' } : getCachedResult(cacheKey);
+    if (cached.state !== 'miss' && cached.kind === 'error') {
+        throw new Error(cached.value.error);
+    }
+    if (cached.state !== 'miss') {
+        const cachedResult = cached.value;
+        if (cached.state === 'stale') {
+            refreshInBackground(cleanTicker, { summaryMode, bodyExtraction: options.bodyExtraction });
         }
+        console.log(`⚡ Returning cached result for ${cleanTicker}`);
+        articleStore.recordRun(cleanTicker, { cached: true, articleCount: cachedResult.articles.length })
+            .catch(error => console.error(`Error recording run for ${cleanTicker}:`, error.message));
+        onProgress('articles', { ticker: cleanTicker, articles: cachedResult.articles });
+        onProgress('summary', { ticker: cleanTicker, summary: cachedResult.summary });
+        if (cachedResult.sentiment) {
+            onProgress('sentiment', { ticker: cleanTicker, sentiment: cachedResult.sentiment, metrics: cachedResult.metrics });
+        }
+        evaluateAlertRules(cleanTicker, cachedResult);
+        return cachedResult;
     }
-}, 60000); // Clean up every minute
 
-// Main API endpoint
-app.post('/api/analyze', async (req, res) => {
-    try {
-        const { ticker } = req.body;
+    // Join an identical analysis already running rather than fetching the news again
+    return analysisFlights.run(
+        cacheKey,
+        (emit) => fetchAndAnalyze(cleanTicker, { bodyOptions, summaryMode, cacheKey, onProgress: emit }),
+        { onEvent: onProgress }
+    );
+}
 
-        if (!ticker) {
-            return res.status(400).json({ error: 'Ticker symbol is required' });
-        }
+// Fetch, summarize and score the news for a ticker, then cache and store the result
+// options: bodyOptions (resolved body extraction settings or null), summaryMode, cacheKey, onProgress
+async function fetchAndAnalyze(cleanTicker, options) {
+    const { bodyOptions, summaryMode, cacheKey, onProgress } = options;
 
-        // Clean and validate ticker
-        const cleanTicker = ticker.trim().toUpperCase().replace(/[^A-Z0-9.]/g, '');
-        
-        if (!cleanTicker || cleanTicker.length === 0) {
-            return res.status(400).json({ error: 'Invalid ticker symbol' });
-        }
+    console.log(`\n=== Fetching news for ticker: ${cleanTicker} ===`);
 
-        // Check cache first
-        const cachedResult = getCachedResult(cleanTicker);
-        if (cachedResult) {
-            console.log(`⚡ Returning cached result for ${cleanTicker}`);
-            return res.json(cachedResult);
-        }
+    // Fetch news articles
+    let articles;
+    try {
+        articles = await fetchYahooNews(cleanTicker);
+    } catch (fetchError) {
+        console.error('Error in fetchYahooNews:', fetchError);
+        const message = `Failed to fetch news: ${fetchError.message}`;
+        setCachedResult(cacheKey, { error: message }, 'error');
+        throw new Error(message);
+    }
 
-        console.log(`\n=== Fetching news for ticker: ${cleanTicker} ===`);
+    if (articles.length === 0) {
+        console.log(`No articles found for ${cleanTicker}`);
+        const result = {
+            ticker: cleanTicker,
+            summary: `No recent news articles found for ${cleanTicker}. The ticker may be invalid or there may be no recent news. Please verify the ticker symbol is correct.`,
+            articles: []
+        };
+        // Cache empty results too, with a shorter TTL
+        setCachedResult(cacheKey, result, 'empty');
+        articleStore.recordRun(cleanTicker, { cached: false, articleCount: 0, newArticles: 0 })
+            .catch(error => console.error(`Error recording run for ${cleanTicker}:`, error.message));
+        onProgress('articles', { ticker: cleanTicker, articles: [] });
+        onProgress('summary', { ticker: cleanTicker, summary: result.summary });
+        evaluateAlertRules(cleanTicker, result);
+        return result;
+    }
 
-        // Fetch news articles
-        let articles;
-        try {
-            articles = await fetchYahooNews(cleanTicker);
-        } catch (fetchError) {
-            console.error('Error in fetchYahooNews:', fetchError);
-            return res.status(500).json({ 
-                error: `Failed to fetch news: ${fetchError.message}` 
-            });
-        }
+    onProgress('articles', { ticker: cleanTicker, articles });
 
-        if (articles.length === 0) {
-            console.log(`No articles found for ${cleanTicker}`);
-            const result = {
-                ticker: cleanTicker,
-                summary: `No recent news articles found for ${cleanTicker}. The ticker may be invalid or there may be no recent news. Please verify the ticker symbol is correct.`,
-                articles: []
-            };
-            // Cache empty results too (shorter TTL could be used, but keeping it simple)
-            setCachedResult(cleanTicker, result);
-            return res.json(result);
-        }
+    // Optionally follow each link and extract the article body
+    if (bodyOptions) {
+        console.log(`Extracting article bodies for ${cleanTicker}...`);
+        await bodyExtractor.enrich(articles, bodyOptions);
+    }
 
-        console.log(`Found ${articles.length} articles, generating summary...`);
+    console.log(`Found ${articles.length} articles, generating summary...`);
 
-        // Use fast summary (instant) instead of AI summarization for speed
-        // Set USE_AI_SUMMARY=true in environment to enable AI summarization
-        const useAISummary = process.env.USE_AI_SUMMARY === 'true';
-        
+    // Summary and sentiment run side by side so each can be streamed as soon as it finishes
+    const summarize = async () => {
         let summary;
-        if (useAISummary) {
+        if (summaryMode === 'ai') {
             try {
                 summary = await summarizeArticlesWithAI(articles);
                 console.log('AI Summary generated successfully');
             } catch (summaryError) {
                 console.error('Error in AI summarization:', summaryError);
-                summary = generateFastSummary(articles);
+                summary = generateExtractiveSummary(articles);
             }
+        } else if (summaryMode === 'extractive') {
+            // Extractive mode - offline TextRank digest
+            summary = generateExtractiveSummary(articles);
+            console.log('Extractive summary generated');
         } else {
             // Fast mode - instant summary
             summary = generateFastSummary(articles);
             console.log('Fast summary generated');
         }
 
-        // Perform sentiment analysis
+        onProgress('summary', { ticker: cleanTicker, summary });
+        return summary;
+    };
+
+    // Perform sentiment analysis
+    const analyzeSentiment = async () => {
         let sentimentResult = null;
         let metrics = null;
         try {
@@ -370,17 +461,63 @@ app.post('/api/analyze', async (req, res) => {
             // Continue without sentiment if it fails
         }
 
-        const result = {
-            ticker: cleanTicker,
-            summary,
-            articles,
-            sentiment: sentimentResult,
-            metrics: metrics
-        };
+        onProgress('sentiment', { ticker: cleanTicker, sentiment: sentimentResult, metrics });
+        return { sentimentResult, metrics };
+    };
+
+    const [summary, { sentimentResult, metrics }] = await Promise.all([summarize(), analyzeSentiment()]);
+
+    const result = {
+        ticker: cleanTicker,
+        summary,
+        articles,
+        sentiment: sentimentResult,
+        metrics: metrics
+    };
+
+    // Cache the result
+    setCachedResult(cacheKey, result);
+
+    // Persist history; a data folder that can't be written doesn't fail the analysis
+    const newArticles = await articleStore.saveArticles(cleanTicker, articles).catch(error => {
+        console.error(`Error saving articles for ${cleanTicker}:`, error.message);
+        return 0;
+    });
+    articleStore.saveSentiment(cleanTicker, sentimentResult)
+        .catch(error => console.error(`Error saving sentiment for ${cleanTicker}:`, error.message));
+    articleStore.recordRun(cleanTicker, {
+        cached: false,
+        articleCount: articles.length,
+        newArticles,
+        sentiment: sentimentResult ? sentimentResult.sentiment : null
+    }).catch(error => console.error(`Error recording run for ${cleanTicker}:`, error.message));
+
+    evaluateAlertRules(cleanTicker, result, newArticles);
+
+    return result;
+}
 
-        // Cache the result
-        setCachedResult(cleanTicker, result);
+// Main API endpoint
+app.post('/api/analyze', async (req, res) => {
+    try {
+        const { ticker } = req.body;
+
+        if (!ticker) {
+            return res.status(400).json({ error: 'Ticker symbol is required' });
+        }
+
+        // Clean and validate ticker
+        const cleanTicker = cleanTickerSymbol(ticker);
+        
+        if (!cleanTicker) {
+            return res.status(400).json({ error: 'Invalid ticker symbol' });
+        }
 
+        const result = await analyzeTicker(cleanTicker, {
+            bodyExtraction: req.body.bodyExtraction,
+            summaryMode: req.body.summaryMode,
+            forceRefresh: req.body.refresh === true
+        });
         res.json(result);
     } catch (error) {
         console.error('Unexpected error in /api/analyze:', error);
@@ -392,6 +529,536 @@ app.post('/api/analyze', async (req, res) => {
     }
 });
 
+// Streaming analysis over Server-Sent Events
+// Sends 'articles', 'summary' and 'sentiment' events as each part is ready, then 'done' with the
+// full result (or 'error'). ?refresh=true fetches the news again instead of serving the cache
+app.get('/api/analyze/stream', async (req, res) => {
+    const cleanTicker = cleanTickerSymbol(req.query.ticker);
+
+    if (!cleanTicker) {
+        return res.status(400).json({ error: 'Ticker symbol is required' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const bodyExtraction = req.query.extractBodies === 'true' ? { enabled: true } : undefined;
+        const result = await analyzeTicker(cleanTicker, {
+            onProgress: send,
+            bodyExtraction,
+            summaryMode: req.query.summaryMode,
+            forceRefresh: req.query.refresh === 'true'
+        });
+        send('done', result);
+    } catch (error) {
+        console.error('Error in /api/analyze/stream:', error);
+        send('error', { error: error.message || 'An unexpected error occurred' });
+    }
+
+    res.end();
+});
+
+// Batch analysis for watchlists
+const BATCH_MAX_TICKERS = 100;
+const BATCH_DEFAULT_CONCURRENCY = 4;
+const BATCH_MAX_CONCURRENCY = 8;
+
+// Run an async function over items with at most `limit` in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Analyze many tickers in one call; each ticker succeeds or fails on its own
+// Body: { tickers: ['AAPL', 'MSFT'], concurrency?: 4, bodyExtraction?: {...}, summaryMode?: 'extractive' }
+app.post('/api/analyze/batch', async (req, res) => {
+    const { tickers } = req.body;
+
+    if (!Array.isArray(tickers) || tickers.length === 0) {
+        return res.status(400).json({ error: 'tickers must be a non-empty array' });
+    }
+    if (tickers.length > BATCH_MAX_TICKERS) {
+        return res.status(400).json({ error: `At most ${BATCH_MAX_TICKERS} tickers per batch` });
+    }
+
+    const concurrency = Math.min(
+        Math.max(parseInt(req.body.concurrency) || BATCH_DEFAULT_CONCURRENCY, 1),
+        BATCH_MAX_CONCURRENCY
+    );
+
+    // Analyze each distinct entry once, keeping the request order; entries that aren't ticker
+    // strings fail on their own below
+    const requested = [...new Set(tickers)];
+    console.log(`\n=== Batch analysis of ${requested.length} tickers (concurrency ${concurrency}) ===`);
+
+    const results = await mapWithConcurrency(requested, concurrency, async (ticker) => {
+        const cleanTicker = cleanTickerSymbol(ticker);
+        if (!cleanTicker) {
+            return { ticker, ok: false, error: 'Invalid ticker symbol' };
+        }
+
+        try {
+            const data = await analyzeTicker(cleanTicker, {
+                bodyExtraction: req.body.bodyExtraction,
+                summaryMode: req.body.summaryMode
+            });
+            return { ticker: cleanTicker, ok: true, data };
+        } catch (error) {
+            console.error(`Batch analysis failed for ${cleanTicker}:`, error.message);
+            return { ticker: cleanTicker, ok: false, error: error.message || 'Analysis failed' };
+        }
+    });
+
+    const failed = results.filter(r => !r.ok).length;
+    res.json({
+        results,
+        succeeded: results.length - failed,
+        failed
+    });
+});
+
+// Parse a window like "24h" or "7d" into milliseconds
+function parseWindow(value) {
+    const match = String(value).match(/^(\d+)\s*(h|d)$/i);
+    if (!match) {
+        throw new Error(`Invalid window: ${value} (use e.g. 24h or 7d)`);
+    }
+    const hours = match[2].toLowerCase() === 'd' ? parseInt(match[1]) * 24 : parseInt(match[1]);
+    return hours * 60 * 60 * 1000;
+}
+
+// Longest free text accepted by POST /api/sentiment
+const TEXT_SENTIMENT_MAX_CHARS = 20000;
+
+// Sentiment of arbitrary text (earnings-call excerpts, tweets, research notes), per sentence and overall
+// Body: { text }
+app.post('/api/sentiment', async (req, res) => {
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || !/[A-Za-z]/.test(text)) {
+        return res.status(400).json({ error: 'Provide the text to score' });
+    }
+    if (text.length > TEXT_SENTIMENT_MAX_CHARS) {
+        return res.status(400).json({ error: `Text is too long (max ${TEXT_SENTIMENT_MAX_CHARS} characters)` });
+    }
+
+    try {
+        const result = await sentimentAnalyzer.analyzeText(text);
+        if (result.error) {
+            return res.status(500).json(result);
+        }
+        console.log(`Text sentiment: ${result.sentiment} (confidence: ${result.confidence}, ${result.sentences.length} sentences)`);
+        res.json(result);
+    } catch (error) {
+        console.error('Error in /api/sentiment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Sentiment time series for a ticker, bucketed by hour or day
+// Query: bucket=hour|day, window=24h|7d|... (or since/until)
+app.get('/api/sentiment/history/:ticker', async (req, res) => {
+    try {
+        const ticker = cleanTickerSymbol(req.params.ticker);
+        if (!ticker) {
+            throw new Error('Invalid ticker symbol');
+        }
+        const bucket = req.query.bucket === 'day' ? 'day' : 'hour';
+        const range = parseDateRange(req.query);
+
+        if (!range.since) {
+            const windowMs = parseWindow(req.query.window || (bucket === 'day' ? '30d' : '24h'));
+            range.since = new Date((range.until || new Date()).getTime() - windowMs);
+        }
+
+        await articleStore.load();
+        res.json({
+            ticker,
+            bucket,
+            since: range.since.toISOString(),
+            until: (range.until || new Date()).toISOString(),
+            series: articleStore.getSentimentSeries(ticker, {
+                bucket,
+                ...range,
+                abstain: point => sentimentAnalyzer.abstain(point)
+            })
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Cache stats: hit rates, size and entry ages
+app.get('/api/cache', (req, res) => {
+    res.json({ ...analysisCache.getStats(), singleFlight: analysisFlights.getStats() });
+});
+
+// Flush the whole cache
+app.delete('/api/cache', (req, res) => {
+    const removed = analysisCache.clear();
+    console.log(`🗑️  Flushed ${removed} cached results`);
+    res.json({ removed });
+});
+
+// Flush one ticker, in every summary mode and body extraction setting
+app.delete('/api/cache/:ticker', (req, res) => {
+    const ticker = cleanTickerSymbol(req.params.ticker);
+    res.json({ removed: analysisCache.deleteWhere(key => key === ticker || key.startsWith(`${ticker}|`)) });
+});
+
+// Model management: the Python model's saved versions and extra training data
+// A retrain in progress; only one runs at a time
+let modelTraining = null;
+
+// Switch the served model, dropping cached results scored by the old one
+async function switchModel(version) {
+    if (!version.ready) {
+        throw new Error(`Model ${version.id} has no model files`);
+    }
+    await sentimentAnalyzer.useModel(version.path, version.metrics);
+    analysisCache.clear();
+    console.log(`🧠 Now using sentiment model ${version.id}`);
+}
+
+// Active version, saved versions (with metrics) and uploaded datasets
+app.get('/api/model', async (req, res) => {
+    try {
+        const [active, versions, datasets] = await Promise.all([
+            modelRegistry.getActive(),
+            modelRegistry.listVersions(),
+            modelRegistry.listDatasets()
+        ]);
+        res.json({
+            backend: SENTIMENT_BACKEND,
+            active: active.id,
+            canRollback: active.history.length > 0,
+            training: modelTraining !== null,
+            feedback: articleStore.getFeedbackStats(),
+            versions,
+            datasets
+        });
+    } catch (error) {
+        console.error('Error listing models:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Full evaluation of the model in use: cross-validated scores, per-class metrics, confusion matrix
+app.get('/api/model/metrics', async (req, res) => {
+    try {
+        const active = await modelRegistry.getActive();
+        res.json({
+            backend: SENTIMENT_BACKEND,
+            active: active.id,
+            metrics: await sentimentAnalyzer.getMetrics()
+        });
+    } catch (error) {
+        console.error('Error getting model metrics:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Train a new version on Sentences_75Agree.txt plus uploaded datasets and analyst feedback
+// Body: { datasets?: [names] (default: all uploaded), includeFeedback?: boolean (default true),
+//         activate?: boolean (default false) }
+app.post('/api/model/train', async (req, res) => {
+    if (modelTraining) {
+        return res.status(409).json({ error: `Already training ${modelTraining}` });
+    }
+
+    try {
+        const uploaded = (await modelRegistry.listDatasets()).map(d => d.name);
+        const names = Array.isArray(req.body.datasets) ? req.body.datasets : uploaded;
+        const unknown = names.filter(name => !uploaded.includes(name));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown datasets: ${unknown.join(', ')}` });
+        }
+
+        const version = await modelRegistry.createVersion();
+        modelTraining = version.id;
+
+        try {
+            const datasetPaths = names.map(name => modelRegistry.datasetPath(name));
+
+            // Article-level corrections become training sentences (headline@label)
+            const feedback = req.body.includeFeedback === false
+                ? []
+                : articleStore.getFeedback().filter(f => f.scope === 'article' && f.text);
+            if (feedback.length > 0) {
+                datasetPaths.push(await modelRegistry.writeTrainingFile(version.id, 'feedback', feedback.map(f => ({
+                    text: f.text,
+                    label: f.label
+                }))));
+            }
+
+            console.log(`🏋️  Training sentiment model ${version.id} (extra datasets: ${names.join(', ') || 'none'}, feedback: ${feedback.length})`);
+            const metrics = await sentimentAnalyzer.trainVersion(version.path, datasetPaths);
+            await modelRegistry.saveVersion({
+                id: version.id,
+                createdAt: new Date().toISOString(),
+                datasets: names,
+                feedbackSamples: feedback.length,
+                metrics
+            });
+        } catch (error) {
+            await modelRegistry.removeVersion(version.id);
+            throw error;
+        }
+
+        const saved = await modelRegistry.getVersion(version.id);
+        if (req.body.activate === true) {
+            await switchModel(saved);
+            await modelRegistry.activate(saved.id);
+        }
+
+        res.json({ version: saved, activated: req.body.activate === true });
+    } catch (error) {
+        console.error('Error training model:', error);
+        res.status(500).json({ error: error.message });
+    } finally {
+        modelTraining = null;
+    }
+});
+
+// Serve a saved version
+app.post('/api/model/versions/:id/activate', async (req, res) => {
+    try {
+        const version = await modelRegistry.getVersion(req.params.id);
+        if (!version) {
+            return res.status(404).json({ error: `Unknown model version: ${req.params.id}` });
+        }
+
+        await switchModel(version);
+        const active = await modelRegistry.activate(version.id);
+        res.json({ active: active.id, version });
+    } catch (error) {
+        console.error('Error activating model:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Go back to the previously active version
+app.post('/api/model/rollback', async (req, res) => {
+    try {
+        const { history } = await modelRegistry.getActive();
+        if (history.length === 0) {
+            return res.status(409).json({ error: 'No earlier model version to roll back to' });
+        }
+
+        const version = await modelRegistry.getVersion(history[history.length - 1]);
+        if (!version) {
+            return res.status(409).json({ error: `Previous model version ${history[history.length - 1]} no longer exists` });
+        }
+
+        await switchModel(version);
+        const active = await modelRegistry.rollback();
+        res.json({ active: active.id, version });
+    } catch (error) {
+        console.error('Error rolling back model:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Uploaded training data
+app.get('/api/model/datasets', async (req, res) => {
+    try {
+        res.json({ datasets: await modelRegistry.listDatasets() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Upload labeled sentences. Body: { name, content } with one `sentence@label` per line
+// Uploading under an existing name replaces that dataset
+app.post('/api/model/datasets', async (req, res) => {
+    const { name, content } = req.body || {};
+    if (!name || typeof content !== 'string') {
+        return res.status(400).json({ error: 'Provide a dataset name and its content' });
+    }
+
+    try {
+        const dataset = await modelRegistry.saveDataset(name, content);
+        console.log(`📥 Saved dataset ${name} (${dataset.samples} sentences, ${dataset.skippedLines.length} skipped)`);
+        res.json(dataset);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/model/datasets/:name', async (req, res) => {
+    try {
+        const removed = await modelRegistry.deleteDataset(req.params.name);
+        if (!removed) {
+            return res.status(404).json({ error: `Unknown dataset: ${req.params.name}` });
+        }
+        res.json({ removed: req.params.name });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Analyst verdict on a sentiment label, for one article or a ticker's aggregate
+// Body: { ticker, scope: 'article'|'aggregate', link (articles only), title, predicted, label }
+app.post('/api/feedback', async (req, res) => {
+    const { scope, link, title, predicted, label } = req.body;
+    const ticker = cleanTickerSymbol(req.body.ticker);
+    const labels = SentimentAnalyzer.LABELS;
+
+    if (!ticker || !['article', 'aggregate'].includes(scope)) {
+        return res.status(400).json({ error: 'Provide a ticker and a scope of article or aggregate' });
+    }
+    if (!labels.includes(predicted) || !labels.includes(label)) {
+        return res.status(400).json({ error: `predicted and label must be one of ${labels.join(', ')}` });
+    }
+    if (scope === 'article' && !link) {
+        return res.status(400).json({ error: 'Article feedback needs the article link' });
+    }
+
+    try {
+        // Train on the headline we stored, falling back to the one the client saw
+        let text = null;
+        if (scope === 'article') {
+            await articleStore.load();
+            const stored = articleStore.getArticles(ticker).find(a => a.link === link);
+            text = (stored && stored.title) || title || null;
+        }
+
+        const record = await articleStore.saveFeedback({ ticker, scope, link, text, predicted, label });
+        console.log(`📝 Feedback for ${ticker} ${scope}: ${predicted} -> ${label}`);
+        res.json({ feedback: record, stats: articleStore.getFeedbackStats() });
+    } catch (error) {
+        console.error('Error saving feedback:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Feedback dataset size and agreement rate
+app.get('/api/feedback', async (req, res) => {
+    try {
+        await articleStore.load();
+        res.json(articleStore.getFeedbackStats());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stored coverage history for a ticker: every article seen and every analysis run
+app.get('/api/coverage/:ticker', async (req, res) => {
+    try {
+        const ticker = cleanTickerSymbol(req.params.ticker);
+        if (!ticker) {
+            throw new Error('Invalid ticker symbol');
+        }
+        const range = parseDateRange(req.query);
+        await articleStore.load();
+
+        res.json({
+            ticker,
+            runs: articleStore.getRuns(ticker, range),
+            articles: articleStore.getArticles(ticker, range)
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Alert rules with the actions and fields they can use
+app.get('/api/alerts/rules', (req, res) => {
+    res.json({
+        rules: alertRules.list(),
+        actions: alertRules.listActions(),
+        fields: AlertRuleEngine.FIELDS,
+        operators: AlertRuleEngine.OPERATORS
+    });
+});
+
+// Body: { name, when: ["sentiment = negative", "confidence > 0.8"], actions: ["notification"],
+//         tickers?: ["AAPL"] (default: all), cooldownMinutes?: 60, enabled?: true }
+app.post('/api/alerts/rules', async (req, res) => {
+    try {
+        res.json({ rule: await alertRules.addRule(req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/api/alerts/rules/:id', async (req, res) => {
+    try {
+        const rule = await alertRules.updateRule(req.params.id, req.body || {});
+        if (!rule) {
+            return res.status(404).json({ error: `Unknown alert rule: ${req.params.id}` });
+        }
+        res.json({ rule });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/alerts/rules/:id', async (req, res) => {
+    try {
+        const removed = await alertRules.removeRule(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: `Unknown alert rule: ${req.params.id}` });
+        }
+        res.json({ removed: req.params.id });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Alerts fired since ?after=<id> (0 for all kept), oldest first
+app.get('/api/alerts', (req, res) => {
+    res.json(alertRules.getAlerts(parseInt(req.query.after) || 0));
+});
+
+// Symbol directory lookup: listings whose symbol or name matches ?q=, and what it resolves to
+app.get('/api/symbols', (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+        return res.status(400).json({ error: 'Provide a symbol or company name in ?q=' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const resolved = symbolDirectory.resolve(query);
+    res.json({
+        query,
+        resolved,
+        listing: resolved ? symbolDirectory.get(resolved) : null,
+        matches: symbolDirectory.search(query, limit)
+    });
+});
+
+// Re-read symbols.csv files after they were updated
+app.post('/api/symbols/reload', (req, res) => {
+    res.json({ listings: symbolDirectory.reload() });
+});
+
+// List configured news providers
+app.get('/api/providers', (req, res) => {
+    res.json({ providers: newsProviders.list(), rateLimits: newsRateLimiter.getStats() });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'ok' });
@@ -417,8 +1084,8 @@ app.get('/api/test/:ticker', async (req, res) => {
 
 app.listen(PORT, () => {
     console.log(`🚀 Trading Assistant backend server running on http://localhost:${PORT}`);
-    console.log(`⚡ Fast mode enabled - AI summarization disabled for speed`);
-    console.log(`📝 To enable AI summarization, set USE_AI_SUMMARY=true environment variable`);
+    console.log(`📝 Summary mode: ${DEFAULT_SUMMARY_MODE} (set SUMMARY_MODE=fast|extractive|ai to change)`);
+    console.log(`🧠 Sentiment backend: ${SENTIMENT_BACKEND} (set SENTIMENT_BACKEND=python|lexicon|ensemble to change)`);
     console.log(`📝 Add HF_API_KEY environment variable for better rate limits on Hugging Face API`);
 });
 
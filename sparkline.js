@@ -0,0 +1,40 @@
+// Sentiment sparkline shared by the overlay and the popup
+// Plots (positive - negative) probability per bucket on a -1..1 scale
+
+function renderSentimentSparkline(series, { width = 200, height = 32 } = {}) {
+    if (!series || series.length < 2) {
+        return '<div class="sparkline-empty">Not enough history for a trend yet</div>';
+    }
+
+    const scores = series.map(point => point.probability_positive - point.probability_negative);
+    const step = width / (scores.length - 1);
+    const toY = score => ((1 - score) / 2) * (height - 4) + 2;
+
+    const points = scores.map((score, i) => `${(i * step).toFixed(1)},${toY(score).toFixed(1)}`).join(' ');
+    const change = scores[scores.length - 1] - scores[0];
+
+    let trend = 'flat';
+    let trendLabel = 'Steady';
+    if (change > 0.05) {
+        trend = 'up';
+        trendLabel = 'Improving';
+    } else if (change < -0.05) {
+        trend = 'down';
+        trendLabel = 'Deteriorating';
+    }
+
+    const last = series[series.length - 1];
+    const lastX = (scores.length - 1) * step;
+    const lastY = toY(scores[scores.length - 1]);
+
+    return `
+        <div class="sparkline sparkline-${trend}" title="${series.length} buckets since ${new Date(series[0].time).toLocaleString()}">
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <line class="sparkline-zero" x1="0" y1="${toY(0)}" x2="${width}" y2="${toY(0)}"></line>
+                <polyline class="sparkline-line" points="${points}"></polyline>
+                <circle class="sparkline-dot" cx="${lastX.toFixed(1)}" cy="${lastY.toFixed(1)}" r="2.5"></circle>
+            </svg>
+            <span class="sparkline-label">${trendLabel} · now ${last.sentiment}</span>
+        </div>
+    `;
+}
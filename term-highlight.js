@@ -0,0 +1,78 @@
+// Highlights the words behind a sentiment call, shared by the overlay and the popup
+// Terms come from the backend as { term, weight }: positive weights pushed toward the
+// predicted label, negative ones against it. Bigrams are matched word by word, since the
+// model drops stop words before pairing them.
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Tooltip text listing the terms and their weights
+function describeTerms(terms) {
+    if (!terms || terms.length === 0) {
+        return '';
+    }
+    return 'Driven by: ' + terms
+        .map(({ term, weight }) => `"${term}" (${weight > 0 ? '+' : ''}${weight.toFixed(2)})`)
+        .join(', ');
+}
+
+// Wrap matching words in element's text in <mark>, keeping existing markup (e.g. clickable tickers)
+// Safe to call again with new terms; earlier highlights are removed first
+function highlightTerms(element, terms, sentiment) {
+    if (!element) {
+        return;
+    }
+
+    element.querySelectorAll('mark.term-highlight').forEach(mark => {
+        mark.replaceWith(...mark.childNodes);
+    });
+    element.normalize();
+
+    if (!terms || terms.length === 0) {
+        return;
+    }
+
+    // Strongest term wins when a word appears in several
+    const words = new Map();
+    terms.forEach(({ term, weight }) => {
+        term.toLowerCase().split(/\s+/).forEach(word => {
+            if (word && !words.has(word)) {
+                words.set(word, { term, weight });
+            }
+        });
+    });
+
+    const pattern = new RegExp(`\\b(${Array.from(words.keys()).map(escapeRegExp).join('|')})\\b`, 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+        const text = node.textContent;
+        pattern.lastIndex = 0;
+        if (!pattern.test(text)) {
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        text.replace(pattern, (match, word, offset) => {
+            const { term, weight } = words.get(word.toLowerCase());
+            fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+
+            const mark = document.createElement('mark');
+            mark.className = `term-highlight ${weight > 0 ? sentiment : 'against'}`;
+            mark.title = `"${term}" ${weight > 0 ? 'supports' : 'counts against'} ${sentiment} (${weight.toFixed(2)})`;
+            mark.textContent = match;
+            fragment.appendChild(mark);
+
+            last = offset + match.length;
+            return match;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        node.replaceWith(fragment);
+    });
+}
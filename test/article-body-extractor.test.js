@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const ArticleBodyExtractor = require('../modules/article-body-extractor');
+
+test('links that are not http(s) are not fetched', async () => {
+  const extractor = new ArticleBodyExtractor();
+  await assert.rejects(extractor.extract('file:///etc/passwd'), /Unsupported URL scheme/);
+  await assert.rejects(extractor.extract('ftp://example.com/story'), /Unsupported URL scheme/);
+});
+
+test('links to loopback, private and link-local addresses are not fetched', async () => {
+  const extractor = new ArticleBodyExtractor();
+  for (const url of [
+    'http://127.0.0.1:3001/api/cache',
+    'http://10.0.0.5/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]:3001/',
+    'http://[::ffff:127.0.0.1]/'
+  ]) {
+    await assert.rejects(extractor.extract(url), /private address/, url);
+  }
+});
+
+test('host names that resolve to a private address are not fetched', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.end('<p>internal</p>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const extractor = new ArticleBodyExtractor();
+    await assert.rejects(extractor.extract(`http://localhost:${server.address().port}/`), /private address/);
+    assert.strictEqual(requests, 0);
+  } finally {
+    server.close();
+  }
+});
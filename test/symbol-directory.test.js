@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const SymbolDirectory = require('../modules/symbol-directory');
+
+const symbols = new SymbolDirectory({ files: [path.join(__dirname, '..', 'symbols.csv')], strict: false });
+
+test('everyday lowercase words are not taken for listed symbols', () => {
+  for (const word of ['now', 'low', 'cat', 'so', 't', 'home']) {
+    assert.strictEqual(symbols.resolve(word), null, word);
+    assert.strictEqual(symbols.canonicalize(word), null, word);
+  }
+});
+
+test('symbols in capitals or after a $ resolve', () => {
+  assert.strictEqual(symbols.resolve('NOW'), 'NOW');
+  assert.strictEqual(symbols.resolve('CAT'), 'CAT');
+  assert.strictEqual(symbols.resolve('T'), 'T');
+  assert.strictEqual(symbols.resolve('$now'), 'NOW');
+  assert.strictEqual(symbols.resolve('$brk.b'), 'BRK-B');
+  assert.strictEqual(symbols.canonicalize('BRK/B'), 'BRK-B');
+});
+
+test('lowercase text resolves when it is a whole company name or alias', () => {
+  assert.strictEqual(symbols.resolve('nvidia'), 'NVDA');
+  assert.strictEqual(symbols.resolve('apple inc.'), 'AAPL');
+  assert.strictEqual(symbols.resolve('home depot'), 'HD');
+  assert.strictEqual(symbols.resolve('Meta'), 'META');
+});
+
+test('unlisted symbols need capitals and common words are rejected', () => {
+  assert.strictEqual(symbols.resolve('ZZZQ'), 'ZZZQ');
+  assert.strictEqual(symbols.resolve('zzzq'), null);
+  assert.strictEqual(symbols.resolve('CEO'), null);
+});
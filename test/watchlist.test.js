@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Watchlist = require('../modules/watchlist');
+
+function checkedEntry(watchlist, ticker, lastCall) {
+  const entry = { ...watchlist._createEntry(ticker), updatedAt: new Date().toISOString(), lastCall };
+  entry.sentiment = { label: lastCall, confidence: 0.8, predicted: null };
+  return entry;
+}
+
+test('a sentiment change between two checks raises a flip', () => {
+  const watchlist = new Watchlist({ analyzer: {} });
+  const entry = checkedEntry(watchlist, 'AAPL', 'positive');
+
+  const alerts = watchlist._compare(entry, { articles: [], sentiment: { sentiment: 'negative', confidence: 0.7 } });
+
+  assert.deepStrictEqual(alerts.map(alert => alert.type), ['sentiment-flip']);
+  assert.strictEqual(entry.lastCall, 'negative');
+});
+
+test('an error fallback result raises no flip and keeps the last call', () => {
+  const watchlist = new Watchlist({ analyzer: {} });
+  const entry = checkedEntry(watchlist, 'AAPL', 'positive');
+  const failed = { sentiment: 'neutral', confidence: 0, error: 'Python worker exited (code 1)' };
+
+  assert.deepStrictEqual(watchlist._compare(entry, { articles: [], sentiment: failed }), []);
+  assert.strictEqual(entry.lastCall, 'positive');
+
+  // The next good check compares against the call from before the failure
+  const alerts = watchlist._compare(entry, { articles: [], sentiment: { sentiment: 'positive', confidence: 0.9 } });
+  assert.deepStrictEqual(alerts, []);
+});